@@ -12,6 +12,9 @@
 
 'use strict';
 
+const { normalizeNumericFields } = require('../answers/numeric');
+const { sanitizeQuestion } = require('../questions/sanitize');
+
 const DEFAULT_MODEL = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
 const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
 
@@ -66,10 +69,19 @@ function normalizeType(t) {
   return null;
 }
 
+// JSON reads an unescaped "\frac" as a form feed followed by "rac" (likewise "\beta", and "\times",
+// "\rho" or "\neq" inside a formula). Put the backslash back so the LaTeX still renders.
+function repairLatexEscapes(text) {
+  const CONTROL = { '\f': '\\f', '\b': '\\b', '\t': '\\t', '\r': '\\r', '\n': '\\n' };
+  return String(text)
+    .replace(/[\f\b](?=[a-zA-Z])/g, ch => CONTROL[ch])
+    .replace(/\$[^$]+\$/g, math => math.replace(/[\t\r\n](?=[a-zA-Z])/g, ch => CONTROL[ch]));
+}
+
 function normalizeStringArray(arr) {
   if (!Array.isArray(arr)) return [];
   return arr
-    .map(v => String(v || '').trim())
+    .map(v => repairLatexEscapes(String(v || '').trim()))
     .filter(Boolean)
     .slice(0, 12);
 }
@@ -86,15 +98,16 @@ function validateAndNormalizeQuestion(q, { grade, subject, chapter, chapterChoic
   out.type = normalizeType(q.type);
   out.source = typeof q.source === 'string' && q.source.trim() ? q.source.trim() : 'AI Generated';
   out.tags = Array.isArray(q.tags) ? normalizeStringArray(q.tags) : ['ai', 'generated'];
-  out.question = typeof q.question === 'string' ? q.question.trim() : '';
-  out.answer = typeof q.answer === 'string' ? q.answer.trim() : '';
+  out.question = typeof q.question === 'string' ? repairLatexEscapes(q.question.trim()) : '';
+  out.answer = typeof q.answer === 'string' ? repairLatexEscapes(q.answer.trim()) : '';
   out.keywords = normalizeStringArray(q.keywords);
   out.diagram = q.diagram ? String(q.diagram) : null;
   out.diagram_description = typeof q.diagram_description === 'string' ? q.diagram_description.trim() : null;
 
-  // Append diagram description to question if present, for visibility
+  // Append diagram description to question if present, for visibility. It is plain text.
   if (out.diagram_description) {
-    out.question += `<br><br><small><i>(Visual context: ${out.diagram_description})</i></small>`;
+    const description = out.diagram_description.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    out.question += `<br><br><small><i>(Visual context: ${description})</i></small>`;
   }
 
   // Enforce fixed chapter when specified
@@ -110,7 +123,7 @@ function validateAndNormalizeQuestion(q, { grade, subject, chapter, chapterChoic
   if (!out.answer) return null;
 
   if (out.type === 'mcq') {
-    const options = Array.isArray(q.options) ? q.options.map(v => String(v || '').trim()).filter(Boolean) : [];
+    const options = Array.isArray(q.options) ? q.options.map(v => repairLatexEscapes(String(v || '').trim())).filter(Boolean) : [];
     if (options.length < 4) return null;
     out.options = options.slice(0, 4);
     const correct = Number(q.correctOption);
@@ -118,7 +131,12 @@ function validateAndNormalizeQuestion(q, { grade, subject, chapter, chapterChoic
     out.correctOption = correct;
   }
 
-  return out;
+  if (out.type === 'numerical') {
+    // A malformed numericAnswer only loses auto-checking; the question is still usable.
+    Object.assign(out, normalizeNumericFields(q) || {});
+  }
+
+  return sanitizeQuestion(out);
 }
 
 async function callGemini({ prompt, model = DEFAULT_MODEL, timeoutMs = 25000 }) {
@@ -216,17 +234,22 @@ async function generateQuestions({ grade, subject, chapter, chapterChoices = [],
     `  "image_search_query": string|null,`,
     `  // If type is mcq, include:`,
     `  "options": string[4],`,
-    `  "correctOption": 1|2|3|4`,
+    `  "correctOption": 1|2|3|4,`,
+    `  // If type is numerical with a single final value, include:`,
+    `  "numericAnswer": number,`,
+    `  "unit": string`,
     `}`,
     ``,
     `Rules:`,
     typeLine,
-    `- Use clear plain text, but you MAY use HTML tags <b>, <i>, <u>, <br> for formatting emphasis.`,
+    `- Use clear plain text, but you MAY use HTML tags <b>, <i>, <u>, <br>, <sub>, <sup>, <small> for formatting; any other tag is removed.`,
+    `- Write mathematical expressions in LaTeX between $...$ (or $$...$$ for a displayed formula), e.g. $\\frac{a}{b}$, $x^{2}$, $\\sqrt{3}$. Escape each backslash in JSON as \\\\.`,
     `- For "source", provide the EXACT citation (e.g. "NCERT Class 10 Science, Ch 6, Pg 102, Fig 6.3").`,
     `- For "answer", include the final answer and a short explanation/steps.`,
     `- "keywords" should contain 4-10 key terms/phrases students should write.`,
     `- Keep each question solvable without external data.`,
     `- Ensure MCQ has exactly 4 options and exactly 1 correct option.`,
+    `- For numerical questions, "numericAnswer" is the final value expressed in "unit" (e.g. 5 and "m/s").`,
     `- If a diagram is essential, set "diagram_description" to a detailed visual description.`,
     `- Also set "image_search_query" to a specific search term for the diagram (e.g. "NCERT Class 10 digestive system diagram").`,
     `- Set "diagram" to a valid URL if you know one (e.g. Wikimedia), otherwise null.`,
@@ -0,0 +1,192 @@
+/*
+  Numerical answer checking.
+
+  A numerical question becomes machine-checkable when it carries:
+    numericAnswer  - the expected value (number)
+    unit           - optional unit the value is expressed in, e.g. "m/s", "Ω", "kWh"
+    tolerance      - optional: absolute (0.05) or relative ("2%"); default 1%
+
+  Players type a value with or without a unit ("5", "5 m/s", "18 km/h", "1.5 × 10^3 J").
+  A missing unit is taken to be the question's unit; a different unit is converted
+  when both units measure the same quantity in the table below.
+*/
+
+'use strict';
+
+const DEFAULT_RELATIVE_TOLERANCE = 0.01;
+
+// Alias -> [quantity, factor to the SI unit], written in the unit's proper case.
+// Symbols that begin with m or M are matched exactly, because there the case is the prefix
+// (mW is milli, MW is mega, M is molar); every other alias also matches in any case ("KG", "kwh").
+const UNITS = {};
+const UNITS_ANY_CASE = {};
+[
+  ['length', 1, ['m', 'metre', 'metres', 'meter', 'meters']],
+  ['length', 0.01, ['cm', 'centimetre', 'centimetres', 'centimeter', 'centimeters']],
+  ['length', 0.001, ['mm', 'millimetre', 'millimetres', 'millimeter', 'millimeters']],
+  ['length', 1000, ['km', 'kilometre', 'kilometres', 'kilometer', 'kilometers']],
+  ['time', 1, ['s', 'sec', 'secs', 'second', 'seconds']],
+  ['time', 0.001, ['ms', 'millisecond', 'milliseconds']],
+  ['time', 60, ['min', 'mins', 'minute', 'minutes']],
+  ['time', 3600, ['h', 'hr', 'hrs', 'hour', 'hours']],
+  ['speed', 1, ['m/s', 'ms-1', 'ms^-1', 'm s-1', 'mps']],
+  ['speed', 1 / 3.6, ['km/h', 'km/hr', 'kmph', 'kmh', 'kmh-1', 'km h-1']],
+  ['speed', 0.01, ['cm/s', 'cms-1']],
+  ['acceleration', 1, ['m/s2', 'm/s^2', 'ms-2', 'm s-2']],
+  ['mass', 1, ['kg', 'kilogram', 'kilograms']],
+  ['mass', 0.001, ['g', 'gram', 'grams']],
+  ['mass', 1e-6, ['mg', 'milligram', 'milligrams']],
+  ['force', 1, ['N', 'newton', 'newtons']],
+  ['force', 1000, ['kN', 'kilonewton', 'kilonewtons']],
+  ['momentum', 1, ['kg m/s', 'kgm/s', 'kg m s-1', 'kgms-1', 'N s']],
+  ['energy', 1, ['J', 'joule', 'joules']],
+  ['energy', 1000, ['kJ', 'kilojoule', 'kilojoules']],
+  ['energy', 3600, ['Wh']],
+  ['energy', 3.6e6, ['kWh', 'unit', 'units']],
+  ['power', 1, ['W', 'watt', 'watts']],
+  ['power', 1000, ['kW', 'kilowatt', 'kilowatts']],
+  ['current', 1, ['A', 'amp', 'amps', 'ampere', 'amperes']],
+  ['current', 0.001, ['mA', 'milliampere', 'milliamperes']],
+  ['voltage', 1, ['V', 'volt', 'volts']],
+  ['voltage', 0.001, ['mV', 'millivolt', 'millivolts']],
+  ['voltage', 1000, ['kV', 'kilovolt', 'kilovolts']],
+  ['resistance', 1, ['Ω', 'ohm', 'ohms']],
+  ['resistance', 1000, ['kΩ', 'kohm', 'kohms', 'kiloohm', 'kiloohms']],
+  ['charge', 1, ['C', 'coulomb', 'coulombs']],
+  ['frequency', 1, ['Hz', 'hertz']],
+  ['frequency', 1000, ['kHz', 'kilohertz']],
+  ['pressure', 1, ['Pa', 'pascal', 'pascals', 'N/m2']],
+  ['pressure', 1000, ['kPa']],
+  ['area', 1, ['m2', 'm^2', 'sq m']],
+  ['area', 1e-4, ['cm2', 'cm^2', 'sq cm']],
+  ['area', 1e-6, ['mm2', 'mm^2', 'sq mm']],
+  ['area', 1e6, ['km2', 'km^2', 'sq km']],
+  ['angle', 1, ['°', 'deg', 'degree', 'degrees']],
+  ['volume', 1, ['m3', 'm^3']],
+  ['volume', 1e-6, ['cm3', 'cm^3', 'cc', 'mL', 'ml']],
+  ['volume', 0.001, ['L', 'litre', 'litres', 'liter', 'liters', 'dm3']],
+  ['amount', 1, ['mol', 'mole', 'moles']],
+  ['concentration', 1000, ['M', 'mol/L', 'mol L-1', 'mol/dm3', 'mol dm-3']],
+  ['molar-mass', 0.001, ['g/mol', 'g mol-1']],
+  ['power-of-lens', 1, ['D', 'dioptre', 'dioptres', 'diopter', 'diopters']]
+].forEach(([quantity, factor, aliases]) => {
+  aliases.forEach(alias => {
+    const key = normalizeUnit(alias);
+    UNITS[key] = { quantity, factor };
+    if (!/^m(?![a-z]{2})/i.test(key)) UNITS_ANY_CASE[key.toLowerCase()] = UNITS[key];
+  });
+});
+
+// Canonical spelling for comparing units: NFKC (so "s²" -> "s2" and the ohm sign -> omega),
+// "per" -> "/", and no spaces, dots, carets or stray minus signs. Case is kept.
+function normalizeUnit(unit) {
+  return String(unit || '')
+    .normalize('NFKC')
+    .replace(/[−–]/g, '-')
+    .replace(/\s+per\s+/gi, '/')
+    .replace(/[\s.·^]/g, '')
+    .replace(/⁻/g, '-')
+    .trim();
+}
+
+function lookupUnit(key) {
+  return UNITS[key] || UNITS_ANY_CASE[key.toLowerCase()] || null;
+}
+
+// Tolerance as { absolute } or { relative }; null when the input is not a usable tolerance.
+function parseTolerance(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? { absolute: value } : null;
+  const text = String(value).trim();
+  const percent = text.match(/^(\d+(?:\.\d+)?)\s*%$/);
+  if (percent) return { relative: Number(percent[1]) / 100 };
+  const n = Number(text);
+  return Number.isFinite(n) && n >= 0 ? { absolute: n } : null;
+}
+
+// Validates the numeric fields of a question object. Returns the fields to copy onto the
+// normalised question, {} when the question has none, or null when they are present but invalid.
+function normalizeNumericFields(q) {
+  if (!q || q.numericAnswer === undefined || q.numericAnswer === null || q.numericAnswer === '') return {};
+  const value = typeof q.numericAnswer === 'number' ? q.numericAnswer : parseNumber(String(q.numericAnswer));
+  if (!Number.isFinite(value)) return null;
+
+  const out = { numericAnswer: value };
+  if (q.tolerance !== undefined && q.tolerance !== null && q.tolerance !== '') {
+    if (!parseTolerance(q.tolerance)) return null;
+    out.tolerance = q.tolerance;
+  }
+  if (typeof q.unit === 'string' && q.unit.trim()) out.unit = q.unit.trim();
+  return out;
+}
+
+function hasNumericAnswer(question) {
+  return Boolean(question) && typeof question.numericAnswer === 'number' && Number.isFinite(question.numericAnswer);
+}
+
+function parseNumber(text) {
+  const s = String(text)
+    .normalize('NFKC')
+    .replace(/[−–]/g, '-')
+    .replace(/(\d),(?=\d{3}\b)/g, '$1')
+    .trim();
+  const fraction = s.match(/^([-+]?\d+)\s*\/\s*(\d+)$/);
+  if (fraction) return Number(fraction[2]) ? Number(fraction[1]) / Number(fraction[2]) : NaN;
+  return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(s) ? Number(s) : NaN;
+}
+
+// "18 km/h" -> { value: 18, unit: 'km/h' }; "1.5 × 10^3 J" -> { value: 1500, unit: 'J' }.
+function parseNumericAnswer(text) {
+  const s = String(text ?? '')
+    .normalize('NFKC')
+    .replace(/[−–]/g, '-')
+    .replace(/(\d),(?=\d{3}\b)/g, '$1')
+    .trim();
+  const match = s.match(
+    /^([-+]?(?:\d+\s*\/\s*\d+(?![\d.])|(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?))(?:\s*[x×*]\s*10\s*\^?\s*([-+]?\d+))?\s*(.*)$/i
+  );
+  if (!match) return null;
+  let value = parseNumber(match[1]);
+  if (match[2] !== undefined) value *= 10 ** Number(match[2]);
+  if (!Number.isFinite(value)) return null;
+  return { value, unit: match[3].trim() };
+}
+
+// Converts a value from one unit to another; null when the units are not comparable.
+function convertUnit(value, fromUnit, toUnit) {
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+  if (from === to) return value;
+  // Units missing from the table only match when written the same way.
+  const a = lookupUnit(from);
+  const b = lookupUnit(to);
+  if (!a || !b || a.quantity !== b.quantity) return null;
+  return (value * a.factor) / b.factor;
+}
+
+// { correct, value, unit } for a player's typed answer; correct is false for unparseable
+// input or a unit that cannot be converted to the question's unit.
+function checkNumericAnswer(question, answer) {
+  const parsed = parseNumericAnswer(answer);
+  if (!parsed) return { correct: false, value: null, unit: null };
+
+  const expectedUnit = question.unit || '';
+  const unit = parsed.unit || expectedUnit;
+  const value = expectedUnit || parsed.unit ? convertUnit(parsed.value, unit, expectedUnit) : parsed.value;
+  if (value === null) return { correct: false, value: parsed.value, unit };
+
+  const expected = question.numericAnswer;
+  const tolerance = parseTolerance(question.tolerance) || { relative: DEFAULT_RELATIVE_TOLERANCE };
+  const allowed = tolerance.absolute ?? Math.abs(expected) * tolerance.relative;
+  // Float noise from unit conversion should never turn an exact answer wrong.
+  const correct = Math.abs(value - expected) <= allowed + 1e-9 * Math.max(1, Math.abs(expected));
+  return { correct, value: parsed.value, unit };
+}
+
+module.exports = {
+  normalizeNumericFields,
+  hasNumericAnswer,
+  parseNumericAnswer,
+  checkNumericAnswer,
+  convertUnit
+};
@@ -0,0 +1,279 @@
+/*
+  Live Biology questions for Classes 11 and 12: Mendelian ratios and counts, ABO and
+  sex-linked inheritance, DNA base pairing and length, cell division, population rates and
+  energy flow through food chains.
+
+  Counts are drawn as multiples of the ratio's total, so expected numbers are whole.
+*/
+
+'use strict';
+
+const { QUESTION_TYPES } = require('../questions/types');
+const { shuffleArray, randInt, pickOne, formatNumber, superscript, mcqOptions, liveQuestion, liveNumerical } = require('./common');
+
+const BASE_PAIR_LENGTH_NM = 0.34;
+
+function numerical(ctx, key, fields) {
+  return liveNumerical({ grade: ctx.grade, subject: 'Biology', chapter: ctx.chapter, key: `b-${key}`, ...fields });
+}
+
+// Principles of inheritance and variation
+
+// Mendel's seven pea characters: [character, dominant, recessive, allele letter].
+const PEA_TRAITS = [
+  ['stem height', 'tall', 'dwarf', 'T'],
+  ['flower colour', 'violet', 'white', 'W'],
+  ['flower position', 'axial', 'terminal', 'A'],
+  ['pod shape', 'inflated', 'constricted', 'I'],
+  ['pod colour', 'green', 'yellow', 'G'],
+  ['seed shape', 'round', 'wrinkled', 'R'],
+  ['seed colour', 'yellow', 'green', 'Y']
+];
+
+function monohybridCount(ctx) {
+  const [character, dom, rec, letter] = pickOne(PEA_TRAITS);
+  const total = 4 * randInt(20, 250);
+  const l = letter.toLowerCase();
+  const [asked, share, working] = pickOne([
+    [`${rec} (${l}${l})`, 1 / 4, '1/4'],
+    [`${dom}`, 3 / 4, '3/4'],
+    [`heterozygous (${letter}${l})`, 1 / 2, '2/4 = 1/2']
+  ]);
+  const count = total * share;
+  return numerical(ctx, 'mono', {
+    question: `In pea, ${dom} ${character} (${letter}) is dominant over ${rec} (${l}). A pure ${dom} plant is crossed with a ${rec} one and the F₁ is selfed, giving ${total} F₂ plants. How many are expected to be ${asked}?`,
+    answer: `F₁ is ${letter}${l}. ${letter}${l} × ${letter}${l} gives ${letter}${letter} : ${letter}${l} : ${l}${l} = 1 : 2 : 1, i.e. a phenotypic ratio of 3 ${dom} : 1 ${rec}. ` +
+      `Expected ${asked} = ${working} × ${total} = ${count}.`,
+    keywords: ['1 : 2 : 1', '3 ' + dom],
+    value: count
+  });
+}
+
+function dihybridCount(ctx) {
+  const total = 16 * randInt(5, 100);
+  const [asked, parts] = pickOne([['round and yellow', 9], ['round and green', 3], ['wrinkled and yellow', 3], ['wrinkled and green', 1]]);
+  const count = (total * parts) / 16;
+  return numerical(ctx, 'di', {
+    question: `A pure round yellow-seeded pea plant (RRYY) is crossed with a wrinkled green-seeded one (rryy), and the F₁ is selfed. Of ${total} F₂ seeds, how many are expected to be ${asked}?`,
+    answer: `F₁ is RrYy. In a dihybrid F₂ the phenotypic ratio is 9 round yellow : 3 round green : 3 wrinkled yellow : 1 wrinkled green. ` +
+      `Expected ${asked} = ${parts}/16 × ${total} = ${count}.`,
+    keywords: ['9 round yellow : 3 round green : 3 wrinkled yellow : 1 wrinkled green'],
+    value: count
+  });
+}
+
+const RATIO_FACTS = [
+  ['the phenotypic ratio in the F₂ of a monohybrid cross', '3 : 1'],
+  ['the genotypic ratio in the F₂ of a monohybrid cross', '1 : 2 : 1'],
+  ['the phenotypic ratio in the F₂ of a dihybrid cross', '9 : 3 : 3 : 1'],
+  ['the phenotypic ratio of a monohybrid test cross (Tt × tt)', '1 : 1'],
+  ['the phenotypic ratio of a dihybrid test cross (RrYy × rryy)', '1 : 1 : 1 : 1'],
+  ['the F₂ phenotypic ratio for flower colour in snapdragon (incomplete dominance)', '1 : 2 : 1']
+];
+
+function ratioQuestion(ctx) {
+  const [what, ratio] = pickOne(RATIO_FACTS);
+  const { options, correctOption } = mcqOptions(ratio, shuffleArray(['3 : 1', '1 : 2 : 1', '9 : 3 : 3 : 1', '1 : 1', '1 : 1 : 1 : 1', '2 : 1', '9 : 7']));
+  return liveQuestion({
+    grade: ctx.grade,
+    subject: 'Biology',
+    chapter: ctx.chapter,
+    key: 'b-ratio',
+    type: QUESTION_TYPES.MCQ,
+    tags: ['live', 'genetics'],
+    question: `What is ${what}?`,
+    options,
+    correctOption,
+    answer: `${ratio} is ${what}.`,
+    keywords: [ratio]
+  });
+}
+
+// [genotype as HTML, the two alleles it passes on]
+const ABO_GENOTYPES = [
+  ['I<sup>A</sup>I<sup>A</sup>', ['A', 'A']],
+  ['I<sup>A</sup>i', ['A', 'O']],
+  ['I<sup>B</sup>I<sup>B</sup>', ['B', 'B']],
+  ['I<sup>B</sup>i', ['B', 'O']],
+  ['I<sup>A</sup>I<sup>B</sup>', ['A', 'B']],
+  ['ii', ['O', 'O']]
+];
+
+const ALLELE_HTML = { A: 'I<sup>A</sup>', B: 'I<sup>B</sup>', O: 'i' };
+
+function gameteAlleles(alleles) {
+  return Array.from(new Set(alleles)).map(a => ALLELE_HTML[a]).join(' or ');
+}
+
+function bloodGroup(alleles) {
+  const [x, y] = alleles;
+  if (x === y) return x;
+  if (x === 'O' || y === 'O') return x === 'O' ? y : x;
+  return 'AB';
+}
+
+function bloodGroupChance(ctx) {
+  let mother;
+  let motherAlleles;
+  let father;
+  let fatherAlleles;
+  let children;
+  // Skip crosses where every child has the same blood group.
+  do {
+    [mother, motherAlleles] = pickOne(ABO_GENOTYPES);
+    [father, fatherAlleles] = pickOne(ABO_GENOTYPES);
+    children = motherAlleles.flatMap(m => fatherAlleles.map(f => bloodGroup([m, f])));
+  } while (new Set(children).size === 1);
+  const group = pickOne(children);
+  const percent = (100 * children.filter(c => c === group).length) / 4;
+  return numerical(ctx, 'abo', {
+    question: `A mother with genotype ${mother} and a father with genotype ${father} have a child. What is the percentage chance that the child has blood group ${group}?`,
+    answer: `The mother's gametes carry ${gameteAlleles(motherAlleles)}, the father's ${gameteAlleles(fatherAlleles)}. ` +
+      `The four equally likely combinations give blood groups ${children.join(', ')}, so the chance of ${group} is ${percent} %.`,
+    keywords: ['gametes', 'equally likely'],
+    value: percent,
+    unit: '%'
+  });
+}
+
+function colourBlindness(ctx) {
+  const [asked, percent, working] = pickOne([
+    ['a son of theirs is colour blind', 50, 'Sons get their X from the mother: half get Xᶜ, so 50 % of sons are colour blind.'],
+    ['a daughter of theirs is a carrier', 50, 'Daughters get the father\'s normal X and one of the mother\'s: half get Xᶜ, so 50 % are carriers (none are colour blind).'],
+    ['any one child is colour blind', 25, 'The children are XX, XXᶜ, XY and XᶜY in equal numbers; only XᶜY is colour blind, so 25 %.']
+  ]);
+  return numerical(ctx, 'sexlinked', {
+    question: `A woman with normal vision whose father was colour blind marries a man with normal vision. What is the percentage chance that ${asked}? (Colour blindness is X-linked recessive.)`,
+    answer: `She must be a carrier (XXᶜ); he is XY. ${working}`,
+    keywords: ['carrier', 'XXᶜ'],
+    value: percent,
+    unit: '%'
+  });
+}
+
+function gameteTypes(ctx) {
+  const genes = 'ABCDE'.slice(0, randInt(2, 5)).split('');
+  const heterozygous = genes.filter((g, i) => i === 0 || Math.random() < 0.7);
+  const genotype = genes.map(g => (heterozygous.includes(g) ? `${g}${g.toLowerCase()}` : pickOne([g + g, g.toLowerCase().repeat(2)]))).join('');
+  const n = heterozygous.length;
+  return numerical(ctx, 'gametes', {
+    question: `How many genetically different kinds of gametes can a plant of genotype ${genotype} produce? (The genes assort independently.)`,
+    answer: `Only heterozygous gene pairs give a choice of allele. ${genotype} has ${n} heterozygous pair${n === 1 ? '' : 's'}, so it forms 2${superscript(n)} = ${2 ** n} kinds of gametes.`,
+    keywords: ['heterozygous'],
+    value: 2 ** n
+  });
+}
+
+// Molecular basis of inheritance
+
+function chargaff(ctx) {
+  const bases = [['adenine', 'thymine', 'guanine', 'cytosine'], ['guanine', 'cytosine', 'adenine', 'thymine']];
+  const [given, pair, other, otherPair] = pickOne(bases);
+  const p = randInt(12, 38);
+  const asked = pickOne([pair, other, otherPair]);
+  const percent = asked === pair ? p : 50 - p;
+  return numerical(ctx, 'chargaff', {
+    question: `A double-stranded DNA sample contains ${p} % ${given}. What percentage of its bases are ${asked}?`,
+    answer: `By Chargaff's rule, A = T and G = C, so ${pair} = ${p} %. The remaining ${100 - 2 * p} % is shared equally by ${other} and ${otherPair}: ${50 - p} % each. So ${asked} = ${percent} %.`,
+    keywords: ["Chargaff's rule", 'A = T and G = C'],
+    value: percent,
+    unit: '%'
+  });
+}
+
+function dnaLength(ctx) {
+  const bp = randInt(2, 90) * 1000;
+  const nm = bp * BASE_PAIR_LENGTH_NM;
+  return numerical(ctx, 'dna-length', {
+    question: `A stretch of double-helical DNA has ${bp} base pairs. How long is it, in micrometres? (Distance between base pairs = 0.34 nm)`,
+    answer: `Length = number of base pairs × 0.34 nm = ${bp} × 0.34 = ${formatNumber(nm)} nm = ${formatNumber(nm / 1000, 3)} μm.`,
+    keywords: ['0.34 nm'],
+    value: nm / 1000,
+    unit: 'μm',
+    display: formatNumber(nm / 1000, 3)
+  });
+}
+
+// Cell cycle and cell division
+
+const DIPLOID_NUMBERS = [['human', 46], ['onion', 16], ['fruit fly (Drosophila)', 8], ['pea', 14], ['rice', 24], ['maize', 20], ['dog', 78]];
+
+function cellDivision(ctx) {
+  if (Math.random() < 0.5) {
+    const [organism, diploid] = pickOne(DIPLOID_NUMBERS);
+    return numerical(ctx, 'meiosis', {
+      question: `A ${organism} cell has 2n = ${diploid} chromosomes. How many chromosomes will each cell formed at the end of meiosis have?`,
+      answer: `Meiosis is a reductional division: the four daughter cells are haploid (n), so each has ${diploid}/2 = ${diploid / 2} chromosomes.`,
+      keywords: ['reductional division', 'haploid'],
+      value: diploid / 2
+    });
+  }
+  const rounds = randInt(3, 10);
+  const cells = 2 ** rounds;
+  return numerical(ctx, 'mitosis', {
+    question: `How many rounds of mitosis are needed to produce ${cells} cells from a single cell?`,
+    answer: `Each mitotic division doubles the number of cells, so after n rounds there are 2ⁿ cells. 2ⁿ = ${cells} ⇒ n = ${rounds}.`,
+    keywords: ['doubles', '2ⁿ'],
+    value: rounds
+  });
+}
+
+// Organisms and populations
+
+function populationRate(ctx) {
+  const population = pickOne([20, 40, 50, 80, 100, 200, 250]);
+  const rate = pickOne([0.05, 0.1, 0.2, 0.25, 0.4, 0.5]);
+  const change = population * rate;
+  const birth = Math.random() < 0.5;
+  const [who, period] = pickOne([['lotus plants in a pond', 'year'], ['fruit flies in a laboratory culture', 'week'], ['deer in a forest', 'year']]);
+  return numerical(ctx, birth ? 'birth-rate' : 'death-rate', {
+    question: `A population of ${population} ${who} ${birth ? `gains ${change} new individuals through reproduction` : `loses ${change} individuals to death`} in a ${period}. Find the ${birth ? 'birth' : 'death'} rate.`,
+    answer: `${birth ? 'Birth' : 'Death'} rate = ${birth ? 'births' : 'deaths'}/population = ${change}/${population} = ${rate} per individual per ${period}.`,
+    keywords: [birth ? 'births/population' : 'deaths/population'],
+    value: rate
+  });
+}
+
+// Ecosystem
+
+function energyFlow(ctx) {
+  const producers = pickOne([1000, 5000, 10000, 20000, 50000, 100000]);
+  const [level, steps] = pickOne([['primary consumers (herbivores)', 1], ['secondary consumers', 2], ['tertiary consumers', 3]]);
+  const energy = producers * 0.1 ** steps;
+  return numerical(ctx, 'ten-percent', {
+    question: `Producers in a food chain fix ${producers} J of energy. How much of it is available to the ${level}?`,
+    answer: `By the 10 per cent law, only about 10 % of the energy passes on at each trophic level. The ${level.replace(/ \(.*\)/, '')} are ${steps} step${steps > 1 ? 's' : ''} above the producers: ` +
+      `${producers} × ${steps > 1 ? `(0.1)${superscript(steps)}` : '0.1'} = ${formatNumber(energy)} J.`,
+    keywords: ['10 per cent law', 'trophic level'],
+    value: energy,
+    unit: 'J'
+  });
+}
+
+// First match wins; `match` is a lower-case part of the chapter name.
+const CHAPTER_GENERATORS = [
+  { match: 'principles of inheritance', generators: [monohybridCount, dihybridCount, ratioQuestion, bloodGroupChance, colourBlindness, gameteTypes] },
+  { match: 'molecular basis of inheritance', generators: [chargaff, dnaLength] },
+  { match: 'cell cycle and cell division', generators: [cellDivision] },
+  { match: 'organisms and populations', generators: [populationRate] },
+  { match: 'ecosystem', generators: [energyFlow] }
+];
+
+function generateBiologyQuestion({ grade, chapter }) {
+  const ctx = { grade, chapter };
+  const name = String(chapter).toLowerCase();
+  const entry = CHAPTER_GENERATORS.find(e => name.includes(e.match));
+  if (entry) return pickOne(entry.generators)(ctx);
+
+  return liveQuestion({
+    ...ctx,
+    subject: 'Biology',
+    key: 'b',
+    tags: ['live'],
+    question: `Describe a key structure or process from "${chapter}" and explain its function.`,
+    answer: `This is an open-ended practice prompt. Name the structure or process, describe it briefly (a labelled diagram helps), and explain its function with an example.`,
+    keywords: ['structure', 'function', 'example']
+  });
+}
+
+module.exports = { generateBiologyQuestion };
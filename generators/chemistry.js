@@ -0,0 +1,318 @@
+/*
+  Live Chemistry numericals for Classes 11 and 12: stoichiometry and concentration, gas laws,
+  pH, hydrogen spectrum energies, first-order kinetics and standard cell potentials.
+
+  Molar masses come from the ATOMIC_MASSES table below, and each question lists the values it
+  uses. Constants follow NCERT: R = 0.083 bar L/(mol K), F = 96500 C/mol, T(K) = t(°C) + 273.
+*/
+
+'use strict';
+
+const { randInt, pickOne, pickSome, formatNumber, formatScientific, superscript, liveQuestion, liveNumerical } = require('./common');
+
+const GAS_CONSTANT = 0.083;
+const FARADAY = 96500;
+
+const ATOMIC_MASSES = { H: 1, C: 12, N: 14, O: 16, Na: 23, Mg: 24, Al: 27, S: 32, Cl: 35.5, K: 39, Ca: 40, Zn: 65 };
+
+const SUBSTANCES = {
+  H2: ['H₂', { H: 2 }],
+  O2: ['O₂', { O: 2 }],
+  N2: ['N₂', { N: 2 }],
+  H2O: ['H₂O', { H: 2, O: 1 }],
+  CO2: ['CO₂', { C: 1, O: 2 }],
+  NH3: ['NH₃', { N: 1, H: 3 }],
+  CH4: ['CH₄', { C: 1, H: 4 }],
+  CaCO3: ['CaCO₃', { Ca: 1, C: 1, O: 3 }],
+  CaO: ['CaO', { Ca: 1, O: 1 }],
+  Mg: ['Mg', { Mg: 1 }],
+  MgO: ['MgO', { Mg: 1, O: 1 }],
+  Zn: ['Zn', { Zn: 1 }],
+  NaOH: ['NaOH', { Na: 1, O: 1, H: 1 }],
+  KOH: ['KOH', { K: 1, O: 1, H: 1 }],
+  NaCl: ['NaCl', { Na: 1, Cl: 1 }],
+  HCl: ['HCl', { H: 1, Cl: 1 }],
+  C6H12O6: ['C₆H₁₂O₆ (glucose)', { C: 6, H: 12, O: 6 }],
+  C12H22O11: ['C₁₂H₂₂O₁₁ (sucrose)', { C: 12, H: 22, O: 11 }],
+  Al2O3: ['Al₂O₃', { Al: 2, O: 3 }],
+  H2SO4: ['H₂SO₄', { H: 2, S: 1, O: 4 }]
+};
+
+// [equation, reactant, its coefficient, product, its coefficient]
+const REACTIONS = [
+  ['CaCO₃ → CaO + CO₂', 'CaCO3', 1, 'CO2', 1],
+  ['CaCO₃ → CaO + CO₂', 'CaCO3', 1, 'CaO', 1],
+  ['2H₂ + O₂ → 2H₂O', 'H2', 2, 'H2O', 2],
+  ['2H₂ + O₂ → 2H₂O', 'O2', 1, 'H2O', 2],
+  ['N₂ + 3H₂ → 2NH₃', 'N2', 1, 'NH3', 2],
+  ['N₂ + 3H₂ → 2NH₃', 'H2', 3, 'NH3', 2],
+  ['CH₄ + 2O₂ → CO₂ + 2H₂O', 'CH4', 1, 'CO2', 1],
+  ['CH₄ + 2O₂ → CO₂ + 2H₂O', 'CH4', 1, 'H2O', 2],
+  ['2Mg + O₂ → 2MgO', 'Mg', 2, 'MgO', 2],
+  ['Zn + 2HCl → ZnCl₂ + H₂', 'Zn', 1, 'H2', 1]
+];
+
+function molarMass(key) {
+  return Object.entries(SUBSTANCES[key][1]).reduce((sum, [el, n]) => sum + ATOMIC_MASSES[el] * n, 0);
+}
+
+function formula(key) {
+  return SUBSTANCES[key][0];
+}
+
+function atomicMassList(...keys) {
+  const elements = new Set(keys.flatMap(k => Object.keys(SUBSTANCES[k][1])));
+  return Array.from(elements).map(el => `${el} = ${ATOMIC_MASSES[el]}`).join(', ');
+}
+
+function numerical(ctx, key, fields) {
+  return liveNumerical({ grade: ctx.grade, subject: 'Chemistry', chapter: ctx.chapter, key: `c-${key}`, ...fields });
+}
+
+// Some basic concepts of chemistry
+
+function stoichiometry(ctx) {
+  const [equation, reactant, a, product, b] = pickOne(REACTIONS);
+  const moles = pickOne([0.5, 1, 1.5, 2, 2.5, 4, 5]) * a;
+  const given = moles * molarMass(reactant);
+  const formed = (moles * b) / a;
+  const mass = formed * molarMass(product);
+  return numerical(ctx, 'stoich', {
+    question: `For the reaction ${equation}, what mass of ${formula(product)} is formed from ${formatNumber(given)} g of ${formula(reactant)}? (Atomic masses: ${atomicMassList(reactant, product)})`,
+    answer: `Moles of ${formula(reactant)} = ${formatNumber(given)}/${molarMass(reactant)} = ${formatNumber(moles)} mol. ` +
+      `The mole ratio from the equation is ${a} mol ${formula(reactant)} : ${b} mol ${formula(product)}, so ${formatNumber(formed)} mol ${formula(product)} forms. ` +
+      `Mass = ${formatNumber(formed)} × ${molarMass(product)} = ${formatNumber(mass)} g.`,
+    keywords: ['mole ratio'],
+    value: mass,
+    unit: 'g'
+  });
+}
+
+function molarity(ctx) {
+  const solute = pickOne(['NaOH', 'KOH', 'NaCl', 'HCl', 'C6H12O6']);
+  const m = molarMass(solute);
+  const mL = pickOne([100, 200, 250, 500, 1000]);
+  const M = pickOne([0.1, 0.2, 0.25, 0.5, 1, 2]);
+  const moles = (M * mL) / 1000;
+  const grams = moles * m;
+  return numerical(ctx, 'molarity', {
+    question: `${formatNumber(grams)} g of ${formula(solute)} is dissolved in water to make ${mL} mL of solution. Find the molarity. (Atomic masses: ${atomicMassList(solute)})`,
+    answer: `Molar mass of ${formula(solute)} = ${m} g/mol, so moles = ${formatNumber(grams)}/${m} = ${formatNumber(moles, 3)} mol. ` +
+      `Molarity = moles of solute/volume in L = ${formatNumber(moles, 3)}/${mL / 1000} = ${M} M.`,
+    keywords: ['molarity', 'volume in L'],
+    value: M,
+    unit: 'M',
+    // "M" is molar, not metres.
+    rejects: [`${formatNumber(M * 100)} cm`]
+  });
+}
+
+function percentComposition(ctx) {
+  const key = pickOne(['H2O', 'CO2', 'NH3', 'CH4', 'CaCO3', 'NaOH', 'MgO', 'Al2O3', 'H2SO4', 'C6H12O6']);
+  const atoms = SUBSTANCES[key][1];
+  const [el, n] = pickOne(Object.entries(atoms));
+  const m = molarMass(key);
+  const pct = (100 * ATOMIC_MASSES[el] * n) / m;
+  return numerical(ctx, 'percent', {
+    question: `Calculate the mass percent of ${el} in ${formula(key)}. (Atomic masses: ${atomicMassList(key)})`,
+    answer: `Molar mass of ${formula(key)} = ${m} g/mol. Mass percent of ${el} = ${n > 1 ? `${n} × ` : ''}${ATOMIC_MASSES[el]}/${m} × 100 = ${formatNumber(pct)} %.`,
+    keywords: ['mass percent', 'molar mass'],
+    value: pct,
+    unit: '%'
+  });
+}
+
+// Structure of atom
+
+function hydrogenSpectrum(ctx) {
+  const n1 = randInt(1, 3);
+  const n2 = n1 + randInt(1, 3);
+  const e = 13.6 * (1 / (n1 * n1) - 1 / (n2 * n2));
+  return numerical(ctx, 'bohr', {
+    question: `How much energy, in eV, is emitted when the electron in a hydrogen atom falls from n = ${n2} to n = ${n1}? (Eₙ = -13.6/n² eV)`,
+    answer: `ΔE = 13.6 (1/n₁² - 1/n₂²) = 13.6 (1/${n1}² - 1/${n2}²) = ${formatNumber(e)} eV.`,
+    keywords: ['ΔE = 13.6 (1/n₁² - 1/n₂²)'],
+    value: e,
+    unit: 'eV'
+  });
+}
+
+// States of matter
+
+// Celsius temperatures that are whole, readable kelvins.
+const TEMPERATURES = [-73, 0, 27, 77, 127, 177, 227, 327];
+
+function gasLaws(ctx) {
+  const kind = pickOne(['boyle', 'charles', 'ideal']);
+  if (kind === 'boyle') {
+    const p1 = pickOne([1, 1.5, 2, 3, 4]);
+    const v1 = pickOne([2, 2.5, 3, 4, 6, 10]);
+    const p2 = pickOne([0.5, 1, 1.2, 2, 5, 6].filter(p => p !== p1));
+    const v2 = (p1 * v1) / p2;
+    return numerical(ctx, 'boyle', {
+      question: `A gas occupies ${v1} L at ${p1} bar. At constant temperature, what volume will it occupy at ${p2} bar?`,
+      answer: `Boyle's law: p₁V₁ = p₂V₂ ⇒ V₂ = ${p1} × ${v1}/${p2} = ${formatNumber(v2)} L.`,
+      keywords: ["Boyle's law", 'p₁V₁ = p₂V₂'],
+      value: v2,
+      unit: 'L'
+    });
+  }
+  if (kind === 'charles') {
+    const t1 = pickOne(TEMPERATURES);
+    const t2 = pickOne(TEMPERATURES.filter(t => t !== t1));
+    const v1 = pickOne([100, 200, 250, 300, 500]);
+    const v2 = (v1 * (t2 + 273)) / (t1 + 273);
+    return numerical(ctx, 'charles', {
+      question: `A gas occupies ${v1} mL at ${t1}°C. At constant pressure, what is its volume at ${t2}°C?`,
+      answer: `Charles' law: V₁/T₁ = V₂/T₂, with T₁ = ${t1 + 273} K and T₂ = ${t2 + 273} K. V₂ = ${v1} × ${t2 + 273}/${t1 + 273} = ${formatNumber(v2)} mL.`,
+      keywords: ["Charles' law", 'V₁/T₁ = V₂/T₂'],
+      value: v2,
+      unit: 'mL'
+    });
+  }
+  const n = pickOne([0.1, 0.2, 0.5, 1, 2]);
+  const v = pickOne([1, 2, 5, 10, 20]);
+  const t = pickOne(TEMPERATURES);
+  const p = (n * GAS_CONSTANT * (t + 273)) / v;
+  return numerical(ctx, 'ideal-gas', {
+    question: `What pressure is exerted by ${n} mol of an ideal gas in a ${v} L vessel at ${t}°C? (R = 0.083 bar L/(mol K))`,
+    answer: `pV = nRT ⇒ p = nRT/V = ${n} × 0.083 × ${t + 273}/${v} = ${formatNumber(p, 3)} bar.`,
+    keywords: ['pV = nRT'],
+    value: p,
+    unit: 'bar',
+    display: formatNumber(p, 3)
+  });
+}
+
+// Equilibrium
+
+function phValue(ctx) {
+  const exponent = randInt(1, 5);
+  const coef = pickOne([1, 1, 2, 5]);
+  const c = coef * 10 ** -exponent;
+  const concentration = `${coef === 1 ? '' : `${coef} × `}10${superscript(-exponent)}`;
+  // log(2 × 10⁻³) = log 2 - 3, written out only when the coefficient is not 1.
+  const working = coef === 1 ? '' : `${exponent} - log ${coef} = `;
+  if (Math.random() < 0.5) {
+    const acid = pickOne(['HCl', 'HNO₃']);
+    const ph = -Math.log10(c);
+    return numerical(ctx, 'ph-acid', {
+      question: `Find the pH of a ${concentration} M solution of ${acid}.`,
+      answer: `${acid} is a strong acid and ionises completely, so [H⁺] = ${concentration} M. pH = -log[H⁺] = ${working}${formatNumber(ph)}.`,
+      keywords: ['pH = -log[H⁺]', 'strong acid'],
+      value: ph
+    });
+  }
+  const base = pickOne(['NaOH', 'KOH']);
+  const poh = -Math.log10(c);
+  const ph = 14 - poh;
+  return numerical(ctx, 'ph-base', {
+    question: `Find the pH of a ${concentration} M solution of ${base} at 298 K.`,
+    answer: `${base} is a strong base, so [OH⁻] = ${concentration} M and pOH = ${working}${formatNumber(poh)}. pH = 14 - pOH = ${formatNumber(ph)}.`,
+    keywords: ['pOH', 'pH = 14 - pOH'],
+    value: ph
+  });
+}
+
+// Solutions
+
+function molality(ctx) {
+  const solute = pickOne(['C6H12O6', 'C12H22O11', 'NaOH', 'NaCl']);
+  const m = molarMass(solute);
+  const kg = pickOne([0.1, 0.2, 0.25, 0.5, 1]);
+  const b = pickOne([0.1, 0.2, 0.4, 0.5, 1]);
+  const moles = b * kg;
+  const grams = moles * m;
+  return numerical(ctx, 'molality', {
+    question: `${formatNumber(grams)} g of ${formula(solute)} is dissolved in ${kg * 1000} g of water. Find the molality of the solution. (Atomic masses: ${atomicMassList(solute)})`,
+    answer: `Moles of solute = ${formatNumber(grams)}/${m} = ${formatNumber(moles, 3)} mol. Molality = moles of solute/mass of solvent in kg = ${formatNumber(moles, 3)}/${kg} = ${b} mol/kg.`,
+    keywords: ['molality', 'mass of solvent in kg'],
+    value: b,
+    unit: 'mol/kg'
+  });
+}
+
+// Chemical kinetics
+
+function firstOrder(ctx) {
+  const halfLife = pickOne([10, 20, 30, 40, 50, 69.3]);
+  const k = 0.693 / halfLife;
+  if (Math.random() < 0.5) {
+    return numerical(ctx, 'kin-k', {
+      question: `A first-order reaction has a half-life of ${halfLife} min. Find its rate constant.`,
+      answer: `For a first-order reaction, t½ = 0.693/k ⇒ k = 0.693/${halfLife} = ${formatScientific(k, 3)} min⁻¹.`,
+      keywords: ['t½ = 0.693/k'],
+      value: k,
+      unit: 'min⁻¹',
+      display: formatScientific(k, 3)
+    });
+  }
+  const [percent, lives] = pickOne([[50, 1], [75, 2], [87.5, 3], [93.75, 4]]);
+  return numerical(ctx, 'kin-t', {
+    question: `A first-order reaction has a rate constant of ${formatScientific(k, 3)} min⁻¹. How long will it take to be ${percent}% complete?`,
+    answer: `t½ = 0.693/k = ${formatNumber(halfLife)} min. ${percent}% completion leaves ${formatNumber(100 - percent)}% = (½)${lives > 1 ? superscript(lives) : ''} of the reactant, i.e. ${lives === 1 ? 'one half-life' : `${lives} half-lives`}: ` +
+      `t = ${lives} × ${formatNumber(halfLife)} = ${formatNumber(lives * halfLife)} min.`,
+    keywords: ['t½ = 0.693/k'],
+    value: lives * halfLife,
+    unit: 'min'
+  });
+}
+
+// Electrochemistry
+
+const ELECTRODES = [['Mg', -2.37], ['Zn', -0.76], ['Fe', -0.44], ['Ni', -0.25], ['Cu', 0.34]];
+
+function cellPotential(ctx) {
+  const [anode, cathode] = pickSome(ELECTRODES, 2).sort((a, b) => a[1] - b[1]);
+  const e = cathode[1] - anode[1];
+  const cell = `${anode[0]}(s) | ${anode[0]}²⁺(aq) || ${cathode[0]}²⁺(aq) | ${cathode[0]}(s)`;
+  const potentials = `E°(${anode[0]}²⁺/${anode[0]}) = ${anode[1]} V, E°(${cathode[0]}²⁺/${cathode[0]}) = ${cathode[1]} V`;
+  if (Math.random() < 0.5) {
+    return numerical(ctx, 'cell-e', {
+      question: `Find the standard emf of the cell ${cell}. (${potentials})`,
+      answer: `E°cell = E°cathode - E°anode = ${cathode[1]} - (${anode[1]}) = ${formatNumber(e)} V. ${anode[0]} is oxidised at the anode.`,
+      keywords: ['E°cathode - E°anode'],
+      value: e,
+      unit: 'V'
+    });
+  }
+  const g = (-2 * FARADAY * e) / 1000;
+  return numerical(ctx, 'cell-g', {
+    question: `Find ΔG° for the cell ${cell}. (${potentials}; F = 96500 C/mol)`,
+    answer: `E°cell = ${cathode[1]} - (${anode[1]}) = ${formatNumber(e)} V, and n = 2. ΔG° = -nFE°cell = -2 × 96500 × ${formatNumber(e)} J/mol = ${formatNumber(g, 1)} kJ/mol.`,
+    keywords: ['ΔG° = -nFE°cell'],
+    value: g,
+    unit: 'kJ/mol',
+    display: formatNumber(g, 1)
+  });
+}
+
+// First match wins; `match` is a lower-case part of the chapter name.
+const CHAPTER_GENERATORS = [
+  { match: 'some basic concepts of chemistry', generators: [stoichiometry, molarity, percentComposition] },
+  { match: 'structure of atom', generators: [hydrogenSpectrum] },
+  { match: 'states of matter', generators: [gasLaws] },
+  { match: 'equilibrium', generators: [phValue] },
+  { match: 'solutions', generators: [molality, molarity] },
+  { match: 'electrochemistry', generators: [cellPotential] },
+  { match: 'chemical kinetics', generators: [firstOrder] }
+];
+
+function generateChemistryQuestion({ grade, chapter }) {
+  const ctx = { grade, chapter };
+  const name = String(chapter).toLowerCase();
+  const entry = CHAPTER_GENERATORS.find(e => name.includes(e.match));
+  if (entry) return pickOne(entry.generators)(ctx);
+
+  return liveQuestion({
+    ...ctx,
+    subject: 'Chemistry',
+    key: 'c',
+    tags: ['live'],
+    question: `Explain a key reaction, property or trend from "${chapter}", with an example.`,
+    answer: `This is an open-ended practice prompt. Name the reaction or trend, explain the reason behind it, and give an example (with an equation where relevant).`,
+    keywords: ['reaction', 'reason', 'example']
+  });
+}
+
+module.exports = { generateChemistryQuestion };
@@ -0,0 +1,156 @@
+/*
+  Shared helpers for the live question generators.
+
+  Generated questions are original, parameterised practice questions used when the bank and
+  the AI cannot fill a session. Each one gets a fresh id, so a room never sees a repeat.
+*/
+
+'use strict';
+
+const { QUESTION_TYPES } = require('../questions/types');
+const { parseNumericAnswer, checkNumericAnswer } = require('../answers/numeric');
+
+function shuffleArray(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+function randInt(min, max) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+function pickOne(arr) {
+  return arr[randInt(0, arr.length - 1)];
+}
+
+// n different items from arr, in random order.
+function pickSome(arr, n) {
+  return shuffleArray([...arr]).slice(0, n);
+}
+
+function makeId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function gcd(a, b) {
+  let x = Math.abs(a);
+  let y = Math.abs(b);
+  while (y) [x, y] = [y, x % y];
+  return x;
+}
+
+// A number for question text: at most `digits` decimals, without trailing zeros.
+function formatNumber(value, digits = 2) {
+  const rounded = Number(value.toFixed(digits));
+  return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+const SUPERSCRIPT_DIGITS = { 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹', '-': '⁻' };
+
+function superscript(n) {
+  return String(n).split('').map(ch => SUPERSCRIPT_DIGITS[ch]).join('');
+}
+
+// "6.022 × 10²³": `digits` significant figures, without trailing zeros.
+function formatScientific(value, digits = 4) {
+  const [mantissa, exponent] = value.toExponential(digits - 1).split('e');
+  const m = String(Number(mantissa));
+  const e = Number(exponent);
+  return e === 0 ? m : `${m} × 10${superscript(e)}`;
+}
+
+// "p/q" in lowest terms ("3" when q divides p).
+function formatFraction(p, q) {
+  const g = gcd(p, q) || 1;
+  const sign = p * q < 0 ? '-' : '';
+  const num = Math.abs(p / g);
+  const den = Math.abs(q / g);
+  return den === 1 ? `${sign}${num}` : `${sign}${num}/${den}`;
+}
+
+// Four MCQ options with the correct one at a random place. Distractors that repeat the answer
+// or each other are skipped, so pass a few spares.
+function mcqOptions(correct, distractors) {
+  const seen = new Set([String(correct)]);
+  const others = [];
+  distractors.forEach(d => {
+    const text = String(d);
+    if (others.length < 3 && !seen.has(text)) {
+      seen.add(text);
+      others.push(text);
+    }
+  });
+  const options = shuffleArray([String(correct), ...others]);
+  return { options, correctOption: options.indexOf(String(correct)) + 1 };
+}
+
+// The fields every generated question shares. `key` names the template in the id, so reports
+// can tell generated questions apart; the rest (question, answer, keywords, ...) is copied as is.
+function liveQuestion({ grade, subject, chapter, key, type = QUESTION_TYPES.SHORT, tags = ['live', 'practice'], ...fields }) {
+  return {
+    id: makeId(`live-g${grade}-${key}`),
+    grade,
+    subject,
+    chapter,
+    type,
+    source: 'practice',
+    tags,
+    ...fields
+  };
+}
+
+// A NUMERICAL question graded by numericAnswer. Its last keyword is the value with its unit,
+// e.g. "24 N"; `display` overrides how the value is written there. Throws when that keyword
+// would itself be marked wrong, or an answer listed in `rejects` right, so a broken template
+// never reaches a room.
+function liveNumerical({ value, unit, display = formatNumber(value), keywords = [], rejects = [], ...fields }) {
+  const valueKeyword = unit ? `${display} ${unit}` : display;
+  const question = liveQuestion({
+    type: QUESTION_TYPES.NUMERICAL,
+    tags: ['live', 'numerical'],
+    ...fields,
+    keywords: [...keywords, valueKeyword],
+    numericAnswer: value,
+    ...(unit ? { unit } : {}),
+    ...displayTolerance(value, display)
+  });
+  if (!checkNumericAnswer(question, valueKeyword).correct) {
+    throw new Error(`${fields.key}: the answer key "${valueKeyword}" does not match numericAnswer ${value}`);
+  }
+  const accepted = rejects.find(answer => checkNumericAnswer(question, answer).correct);
+  if (accepted) throw new Error(`${fields.key}: "${accepted}" is marked correct for ${valueKeyword}`);
+  return question;
+}
+
+// Rounding for display can move a small value past the default 1% tolerance (0.375 shown as
+// "0.38"). The tolerance then becomes half the last printed digit, so the printed value counts;
+// a display that is off by more than its rounding is left to fail the check in liveNumerical.
+function displayTolerance(value, display) {
+  const printed = parseNumericAnswer(display)?.value;
+  const mantissa = String(display).match(/^[+-]?\d+(?:\.(\d+))?/);
+  if (!Number.isFinite(printed) || !mantissa) return {};
+  const scale = Number(mantissa[0]) ? Math.abs(printed / Number(mantissa[0])) : 1; // 10ⁿ in "1.2 × 10ⁿ"
+  const halfStep = scale * 0.5 * 10 ** -(mantissa[1] || '').length;
+  const rounding = Math.abs(printed - value);
+  if (rounding <= Math.abs(value) * 0.01 || rounding > halfStep * (1 + 1e-9)) return {};
+  return { tolerance: halfStep };
+}
+
+module.exports = {
+  shuffleArray,
+  randInt,
+  pickOne,
+  pickSome,
+  makeId,
+  gcd,
+  formatNumber,
+  formatScientific,
+  formatFraction,
+  superscript,
+  mcqOptions,
+  liveQuestion,
+  liveNumerical
+};
@@ -0,0 +1,1242 @@
+/*
+  Live Mathematics questions for Classes 9 and 10.
+
+  CHAPTER_GENERATORS maps chapter names to templates. Every template builds one original
+  question with fresh numbers, a worked answer and keywords; numericals carry a numericAnswer
+  so they are checked automatically. Lengths use π = 22/7 and √3 = 1.732, as in NCERT.
+*/
+
+'use strict';
+
+const { QUESTION_TYPES } = require('../questions/types');
+const { shuffleArray, randInt, pickOne, pickSome, gcd, formatNumber, formatFraction, superscript, mcqOptions, liveQuestion } = require('./common');
+
+const PYTHAGOREAN_TRIPLES = [[3, 4, 5], [5, 12, 13], [8, 15, 17], [7, 24, 25], [20, 21, 29], [9, 40, 41]];
+
+// Sides and area of triangles whose area by Heron's formula is a whole number.
+const HERON_TRIANGLES = [
+  [13, 14, 15, 84], [5, 12, 13, 30], [9, 10, 17, 36], [10, 17, 21, 84], [13, 20, 21, 126],
+  [7, 15, 20, 42], [6, 25, 29, 60], [11, 13, 20, 66], [8, 15, 17, 60], [15, 34, 35, 252]
+];
+
+const PI = 22 / 7;
+
+function mathQuestion(ctx, key, fields) {
+  return liveQuestion({ grade: ctx.grade, subject: 'Mathematics', chapter: ctx.chapter, key: `m-${key}`, ...fields });
+}
+
+// "2x² - x + 5" from [[2, 'x²'], [-1, 'x'], [5, '']]; zero terms are left out.
+function formatTerms(terms) {
+  let out = '';
+  terms.forEach(([coef, symbol]) => {
+    if (!coef) return;
+    const abs = Math.abs(coef);
+    const body = symbol ? `${abs === 1 ? '' : abs}${symbol}` : String(abs);
+    if (!out) out = (coef < 0 ? '-' : '') + body;
+    else out += coef < 0 ? ` - ${body}` : ` + ${body}`;
+  });
+  return out || '0';
+}
+
+function ordinal(n) {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+  return `${n}${suffix}`;
+}
+
+// Negative numbers in brackets, for substituting into a formula.
+function paren(n) {
+  return n < 0 ? `(${n})` : String(n);
+}
+
+// "(x - 3)", "(x + 2)" or "x".
+function linearFactor(root) {
+  if (root === 0) return 'x';
+  return root > 0 ? `(x - ${root})` : `(x + ${-root})`;
+}
+
+// "84 = 2² × 3 × 7".
+function primeFactorisation(n) {
+  const parts = [];
+  let rest = n;
+  for (let p = 2; p * p <= rest; p++) {
+    let power = 0;
+    while (rest % p === 0) {
+      rest /= p;
+      power++;
+    }
+    if (power) parts.push(power > 1 ? `${p}${superscript(power)}` : String(p));
+  }
+  if (rest > 1) parts.push(String(rest));
+  return `${n} = ${parts.join(' × ')}`;
+}
+
+// "6/8 = 3/4", or just "3/4" when it is already in lowest terms.
+function fractionWorking(p, q) {
+  const reduced = formatFraction(p, q);
+  return reduced === `${p}/${q}` ? reduced : `${p}/${q} = ${reduced}`;
+}
+
+// [leg, leg, hypotenuse] of a right triangle with whole-number sides, legs in either order.
+function rightTriangle(maxScale = 3) {
+  const k = randInt(1, maxScale);
+  const [a, b, c] = pickOne(PYTHAGOREAN_TRIPLES).map(side => side * k);
+  return Math.random() < 0.5 ? [a, b, c] : [b, a, c];
+}
+
+// Number systems
+
+function simplifySurd(ctx) {
+  const p = pickOne([2, 3, 5, 6, 7, 10]);
+  const k = pickOne([2, 3, 4, 5]);
+  const rad = p * k * k;
+  return mathQuestion(ctx, 'ns', {
+    question: `Simplify: √${rad}`,
+    answer: `√${rad} = √(${k * k}×${p}) = ${k}√${p}.`,
+    keywords: ['simplify', `√${rad}`, `${k}√${p}`]
+  });
+}
+
+function recurringDecimal(ctx) {
+  if (Math.random() < 0.4) {
+    const d = randInt(1, 8);
+    const fraction = formatFraction(d, 9);
+    return mathQuestion(ctx, 'ns-rec', {
+      question: `Express 0.${String(d).repeat(4)}… in the form p/q, where p and q are integers and q ≠ 0.`,
+      answer: `Let x = 0.${String(d).repeat(3)}…. Then 10x = ${d}.${String(d).repeat(3)}…, so 10x - x = ${d} ⇒ 9x = ${d} ⇒ x = ${fractionWorking(d, 9)}, which is in the form p/q.`,
+      keywords: ['p/q', '10x - x', fraction]
+    });
+  }
+  let n = randInt(1, 98);
+  if (n % 11 === 0) n += 1;
+  const block = String(n).padStart(2, '0');
+  const fraction = formatFraction(n, 99);
+  return mathQuestion(ctx, 'ns-rec', {
+    question: `Express 0.${block.repeat(3)}… (the digits ${block} repeat) in the form p/q, where p and q are integers and q ≠ 0.`,
+    answer: `Let x = 0.${block.repeat(3)}…. Then 100x = ${n}.${block.repeat(2)}…, so 100x - x = ${n} ⇒ 99x = ${n} ⇒ x = ${fractionWorking(n, 99)}, which is in the form p/q.`,
+    keywords: ['p/q', '100x - x', fraction]
+  });
+}
+
+function rationaliseDenominator(ctx) {
+  const [a, b] = pickSome([2, 3, 5, 6, 7, 10, 11], 2).sort((x, y) => y - x);
+  const plus = Math.random() < 0.5;
+  const conjugate = plus ? `√${a} - √${b}` : `√${a} + √${b}`;
+  const result = a - b === 1 ? conjugate : `(${conjugate})/${a - b}`;
+  return mathQuestion(ctx, 'ns-rat', {
+    question: `Rationalise the denominator of 1/(√${a} ${plus ? '+' : '-'} √${b}).`,
+    answer: `To rationalise, multiply the numerator and denominator by the conjugate ${conjugate}: ` +
+      `1/(√${a} ${plus ? '+' : '-'} √${b}) × (${conjugate})/(${conjugate}) = (${conjugate})/(${a} - ${b}) = ${result}.`,
+    keywords: ['rationalise', 'conjugate', conjugate]
+  });
+}
+
+// Real numbers
+
+function hcfAndLcm(ctx) {
+  const h = pickOne([2, 3, 4, 5, 6, 7, 8, 9, 12, 14, 15, 18]);
+  let p = randInt(2, 13);
+  let q = randInt(2, 13);
+  while (q === p || gcd(p, q) !== 1) {
+    p = randInt(2, 13);
+    q = randInt(2, 13);
+  }
+  const a = h * p;
+  const b = h * q;
+  const lcm = h * p * q;
+  return mathQuestion(ctx, 'rn-hcf', {
+    question: `Find the HCF and LCM of ${a} and ${b} by prime factorisation.`,
+    answer: `By prime factorisation, ${primeFactorisation(a)} and ${primeFactorisation(b)}. HCF = ${h} (product of the smallest powers of the common factors) and ` +
+      `LCM = ${lcm} (product of the greatest powers of all the factors). Check: HCF × LCM = ${h * lcm} = ${a} × ${b}.`,
+    keywords: ['prime factorisation', `HCF = ${h}`, `LCM = ${lcm}`]
+  });
+}
+
+function hcfLcmProduct(ctx) {
+  const h = randInt(2, 15);
+  let p = randInt(2, 11);
+  let q = randInt(2, 11);
+  while (q === p || gcd(p, q) !== 1) q = randInt(2, 11);
+  const lcm = h * p * q;
+  const other = h * q;
+  return mathQuestion(ctx, 'rn-prod', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `The HCF of two numbers is ${h} and their LCM is ${lcm}. If one of the numbers is ${h * p}, find the other.`,
+    answer: `HCF × LCM = product of the numbers ⇒ ${h} × ${lcm} = ${h * p} × b ⇒ b = ${h * lcm}/${h * p} = ${other}.`,
+    keywords: ['HCF × LCM', 'product of the numbers', String(other)],
+    numericAnswer: other
+  });
+}
+
+// Polynomials
+
+function remainderTheorem(ctx) {
+  const coefs = [randInt(1, 3), randInt(-5, 5), randInt(-6, 6), randInt(-9, 9)];
+  const k = pickOne([-3, -2, -1, 1, 2, 3]);
+  const values = coefs.map((c, i) => c * k ** (3 - i));
+  const remainder = values.reduce((sum, v) => sum + v, 0);
+  const p = formatTerms([[coefs[0], 'x³'], [coefs[1], 'x²'], [coefs[2], 'x'], [coefs[3], '']]);
+  return mathQuestion(ctx, 'poly-rem', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `Find the remainder when p(x) = ${p} is divided by ${k > 0 ? `x - ${k}` : `x + ${-k}`}.`,
+    answer: `By the remainder theorem, the remainder is p(${k}) = ${formatTerms(values.map(v => [v, '']))} = ${remainder}.`,
+    keywords: ['remainder theorem', `p(${k})`, String(remainder)],
+    numericAnswer: remainder
+  });
+}
+
+function factorTheorem(ctx) {
+  const r = pickOne([-4, -3, -2, -1, 1, 2, 3, 4]);
+  const s = pickOne([-5, -4, -3, -2, -1, 1, 2, 3, 4, 5, 6]);
+  const c = r * s;
+  const k = -(r + s);
+  const step = r === 1 ? '' : `${formatTerms([[r, 'k']])} = ${-(r * r + c)} ⇒ `;
+  return mathQuestion(ctx, 'poly-fac', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `If ${linearFactor(r)} is a factor of p(x) = x² + kx ${c < 0 ? '-' : '+'} ${Math.abs(c)}, find the value of k.`,
+    answer: `By the factor theorem, p(${r}) = 0: ${formatTerms([[r * r, ''], [r, 'k'], [c, '']])} = 0 ⇒ ${step}k = ${k}.`,
+    keywords: ['factor theorem', `p(${r}) = 0`, `k = ${k}`],
+    numericAnswer: k
+  });
+}
+
+function algebraicIdentity(ctx) {
+  const a = randInt(1, 9);
+  const kind = pickOne(['product', 'plus', 'minus']);
+  if (kind === 'product') {
+    const value = 10000 - a * a;
+    return mathQuestion(ctx, 'poly-id', {
+      type: QUESTION_TYPES.NUMERICAL,
+      question: `Evaluate ${100 + a} × ${100 - a} using a suitable identity.`,
+      answer: `${100 + a} × ${100 - a} = (100 + ${a})(100 - ${a}) = 100² - ${a}² = 10000 - ${a * a} = ${value}, using (a + b)(a - b) = a² - b².`,
+      keywords: ['(a + b)(a - b) = a² - b²', String(value)],
+      numericAnswer: value
+    });
+  }
+  const n = kind === 'plus' ? 100 + a : 100 - a;
+  const value = n * n;
+  const sign = kind === 'plus' ? '+' : '-';
+  return mathQuestion(ctx, 'poly-id', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `Evaluate ${n}² using a suitable identity.`,
+    answer: `${n}² = (100 ${sign} ${a})² = 100² ${sign} 2 × 100 × ${a} + ${a}² = 10000 ${sign} ${200 * a} + ${a * a} = ${value}, ` +
+      `using (a ${sign} b)² = a² ${sign} 2ab + b².`,
+    keywords: [`(a ${sign} b)² = a² ${sign} 2ab + b²`, String(value)],
+    numericAnswer: value
+  });
+}
+
+function zeroesAndCoefficients(ctx) {
+  const k = randInt(1, 3);
+  const r1 = randInt(-6, 6);
+  let r2 = randInt(-6, 6);
+  if (r2 === r1) r2 = r1 + randInt(1, 4);
+  const b = -k * (r1 + r2);
+  const c = k * r1 * r2;
+  const p = formatTerms([[k, 'x²'], [b, 'x'], [c, '']]);
+  const factors = `${k > 1 ? k : ''}${linearFactor(r1)}${linearFactor(r2)}`;
+  return mathQuestion(ctx, 'poly-zero', {
+    question: `Find the zeroes of p(x) = ${p} and verify the relationship between the zeroes and the coefficients.`,
+    answer: `p(x) = ${factors}, so the zeroes are ${r1} and ${r2}. Sum of zeroes = ${r1 + r2} = -b/a = ${fractionWorking(-b, k)}; ` +
+      `product of zeroes = ${r1 * r2} = c/a = ${fractionWorking(c, k)}.`,
+    keywords: ['zeroes', '-b/a', 'c/a', `${r1} and ${r2}`]
+  });
+}
+
+function quadraticFromZeroes(ctx) {
+  const sum = randInt(-7, 9);
+  const product = pickOne([-12, -10, -8, -6, -5, -4, -3, -2, -1, 1, 2, 3, 4, 5, 6, 8, 10, 12]);
+  const p = formatTerms([[1, 'x²'], [-sum, 'x'], [product, '']]);
+  return mathQuestion(ctx, 'poly-form', {
+    question: `Find a quadratic polynomial whose sum and product of zeroes are ${sum} and ${product} respectively.`,
+    answer: `A quadratic with sum of zeroes S and product of zeroes P is k[x² - Sx + P]. With S = ${sum} and P = ${product}: p(x) = ${p} (or any non-zero multiple of it).`,
+    keywords: ['x² - Sx + P', 'sum of zeroes', 'product of zeroes', p]
+  });
+}
+
+function symmetricFunctionOfZeroes(ctx) {
+  const sum = randInt(-6, 8);
+  const product = pickOne([-6, -5, -4, -3, -2, -1, 1, 2, 3, 4, 5, 6, 8, 10]);
+  const value = sum * sum - 2 * product;
+  const p = formatTerms([[1, 'x²'], [-sum, 'x'], [product, '']]);
+  return mathQuestion(ctx, 'poly-sym', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `If α and β are the zeroes of p(x) = ${p}, find the value of α² + β².`,
+    answer: `α + β = ${sum} and αβ = ${product}. α² + β² = (α + β)² - 2αβ = ${paren(sum)}² - 2 × ${paren(product)} = ${value}.`,
+    keywords: ['α + β', 'αβ', '(α + β)² - 2αβ', String(value)],
+    numericAnswer: value
+  });
+}
+
+// Linear equations
+
+function nonZero(min, max) {
+  let n = 0;
+  while (!n) n = randInt(min, max);
+  return n;
+}
+
+function solutionOfLinearEquation(ctx) {
+  const a = nonZero(-6, 7);
+  const b = nonZero(-6, 7);
+  const x = randInt(-5, 6);
+  const y = randInt(-5, 6);
+  const k = a * x + b * y;
+  return mathQuestion(ctx, 'lin-k', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `If x = ${x}, y = ${y} is a solution of the equation ${formatTerms([[a, 'x'], [b, 'y']])} = k, find the value of k.`,
+    answer: `Substitute x = ${x} and y = ${y}: ${a} × ${paren(x)} + ${paren(b)} × ${paren(y)} = ${k}, so k = ${k}.`,
+    keywords: ['substitute', `k = ${k}`],
+    numericAnswer: k
+  });
+}
+
+function pointOnLine(ctx) {
+  const a = nonZero(-5, 5);
+  const b = nonZero(-5, 5);
+  const x = randInt(-4, 5);
+  const y = randInt(-4, 5);
+  const c = a * x + b * y;
+  const candidates = [[x + 1, y], [x, y - 1], [y, x], [-x, y], [x, -y], [x - 1, y + 1], [x + 2, y]];
+  const distractors = candidates.filter(([px, py]) => a * px + b * py !== c).map(([px, py]) => `(${px}, ${py})`);
+  const equation = `${formatTerms([[a, 'x'], [b, 'y']])} = ${c}`;
+  return mathQuestion(ctx, 'lin-pt', {
+    type: QUESTION_TYPES.MCQ,
+    question: `Which of the following points lies on the line ${equation}?`,
+    ...mcqOptions(`(${x}, ${y})`, distractors),
+    answer: `(${x}, ${y}): ${a} × ${paren(x)} + ${paren(b)} × ${paren(y)} = ${c}, so it satisfies ${equation}. The other points do not.`,
+    keywords: ['satisfies', `(${x}, ${y})`]
+  });
+}
+
+function solvePairOfEquations(ctx) {
+  const x = randInt(-5, 8);
+  const y = randInt(-5, 8);
+  let a1;
+  let b1;
+  let a2;
+  let b2;
+  do {
+    a1 = nonZero(-5, 6);
+    b1 = nonZero(-5, 6);
+    a2 = nonZero(-5, 6);
+    b2 = nonZero(-5, 6);
+  } while (a1 * b2 === a2 * b1);
+  const eq1 = `${formatTerms([[a1, 'x'], [b1, 'y']])} = ${a1 * x + b1 * y}`;
+  const eq2 = `${formatTerms([[a2, 'x'], [b2, 'y']])} = ${a2 * x + b2 * y}`;
+  return mathQuestion(ctx, 'pair-solve', {
+    question: `Solve the pair of linear equations: ${eq1} and ${eq2}.`,
+    answer: `By elimination: multiply the equations so the coefficients of x (or y) match and subtract; then find the other variable by substitution. x = ${x}, y = ${y}. ` +
+      `Check: ${a1} × ${paren(x)} + ${paren(b1)} × ${paren(y)} = ${a1 * x + b1 * y}.`,
+    keywords: ['elimination', 'substitution', `x = ${x}`, `y = ${y}`]
+  });
+}
+
+const CONSISTENCY = {
+  unique: 'A unique solution',
+  infinite: 'Infinitely many solutions',
+  none: 'No solution'
+};
+
+function pairConsistency(ctx) {
+  const kind = pickOne(Object.keys(CONSISTENCY));
+  const a1 = nonZero(-5, 6);
+  const b1 = nonZero(-5, 6);
+  const c1 = nonZero(-9, 12);
+  const m = randInt(2, 4);
+  let [a2, b2, c2] = [a1 * m, b1 * m, c1 * m];
+  while (kind === 'none' && (c2 === c1 * m || c2 === 0)) c2 = c1 * m + nonZero(-4, 4);
+  if (kind === 'unique') {
+    do {
+      a2 = nonZero(-5, 6);
+      b2 = nonZero(-5, 6);
+    } while (a1 * b2 === a2 * b1);
+    c2 = nonZero(-9, 12);
+  }
+  const ratios = `a₁/a₂ = ${formatFraction(a1, a2)}, b₁/b₂ = ${formatFraction(b1, b2)}, c₁/c₂ = ${formatFraction(c1, c2)}`;
+  const reason = {
+    unique: 'a₁/a₂ ≠ b₁/b₂, so the lines intersect in one point: the pair is consistent with a unique solution.',
+    infinite: 'a₁/a₂ = b₁/b₂ = c₁/c₂, so the lines coincide: the pair is consistent with infinitely many solutions.',
+    none: 'a₁/a₂ = b₁/b₂ ≠ c₁/c₂, so the lines are parallel: the pair is inconsistent and has no solution.'
+  }[kind];
+  return mathQuestion(ctx, 'pair-nat', {
+    type: QUESTION_TYPES.MCQ,
+    question: `How many solutions does the pair ${formatTerms([[a1, 'x'], [b1, 'y']])} = ${c1} and ${formatTerms([[a2, 'x'], [b2, 'y']])} = ${c2} have?`,
+    ...mcqOptions(CONSISTENCY[kind], [...Object.values(CONSISTENCY), 'Exactly two solutions']),
+    answer: `${ratios}. ${reason}`,
+    keywords: ['a₁/a₂', 'b₁/b₂', 'c₁/c₂', CONSISTENCY[kind].toLowerCase()]
+  });
+}
+
+// Lines, angles, triangles and quadrilaterals
+
+function angleQuestion(ctx, key, question, answer, keywords, value) {
+  return mathQuestion(ctx, key, {
+    type: QUESTION_TYPES.NUMERICAL,
+    question,
+    answer,
+    keywords: [...keywords, `${value}°`],
+    numericAnswer: value,
+    unit: '°'
+  });
+}
+
+// Ratios m : n with m + n dividing 180, so the angles are whole degrees.
+const LINEAR_PAIR_RATIOS = [[1, 2], [2, 3], [4, 5], [1, 3], [1, 5], [2, 7], [7, 11], [1, 4], [5, 13]];
+
+function linesAndAngles(ctx) {
+  const kind = pickOne(['intersecting', 'transversal', 'ratio']);
+  const theta = randInt(25, 155);
+  if (kind === 'intersecting') {
+    const opposite = Math.random() < 0.4;
+    const value = opposite ? theta : 180 - theta;
+    return angleQuestion(ctx, 'la-int',
+      `Lines AB and CD intersect at O. If ∠AOC = ${theta}°, find ∠${opposite ? 'BOD' : 'BOC'}.`,
+      opposite
+        ? `∠BOD and ∠AOC are vertically opposite angles, so ∠BOD = ${theta}°.`
+        : `∠AOC and ∠BOC form a linear pair: ∠BOC = 180° - ${theta}° = ${value}°.`,
+      [opposite ? 'vertically opposite angles' : 'linear pair'], value);
+  }
+  if (kind === 'transversal') {
+    const value = 180 - theta;
+    return angleQuestion(ctx, 'la-par',
+      `Two parallel lines are cut by a transversal. One of the interior angles on the same side of the transversal is ${theta}°. Find the other.`,
+      `Co-interior angles (interior angles on the same side of a transversal) are supplementary: 180° - ${theta}° = ${value}°.`,
+      ['co-interior angles', 'supplementary'], value);
+  }
+  const [m, n] = pickOne(LINEAR_PAIR_RATIOS);
+  const unit = 180 / (m + n);
+  return angleQuestion(ctx, 'la-ratio',
+    `Two angles forming a linear pair are in the ratio ${m} : ${n}. Find the larger angle.`,
+    `Angles in a linear pair add up to 180°. Let them be ${m}x and ${n}x: ${m}x + ${n}x = 180° ⇒ x = ${unit}°, so the larger angle is ${n} × ${unit}° = ${n * unit}°.`,
+    ['linear pair', '180°'], n * unit);
+}
+
+function triangleAngles(ctx) {
+  const kind = pickOne(['sum', 'exterior', 'isosceles']);
+  if (kind === 'sum') {
+    const a = randInt(30, 100);
+    const b = randInt(20, 150 - a);
+    const c = 180 - a - b;
+    return angleQuestion(ctx, 'tri-sum',
+      `In ΔABC, ∠A = ${a}° and ∠B = ${b}°. Find ∠C.`,
+      `Angle sum property: ∠C = 180° - (${a}° + ${b}°) = ${c}°.`,
+      ['angle sum property', '180°'], c);
+  }
+  if (kind === 'exterior') {
+    const a = randInt(25, 80);
+    const b = randInt(25, 80);
+    return angleQuestion(ctx, 'tri-ext',
+      `The side BC of ΔABC is produced to D. If ∠A = ${a}° and ∠B = ${b}°, find the exterior angle ∠ACD.`,
+      `An exterior angle equals the sum of the two interior opposite angles: ∠ACD = ${a}° + ${b}° = ${a + b}°.`,
+      ['exterior angle', 'interior opposite angles'], a + b);
+  }
+  const vertex = 2 * randInt(10, 70);
+  const base = (180 - vertex) / 2;
+  return angleQuestion(ctx, 'tri-iso',
+    `In ΔABC, AB = AC and ∠A = ${vertex}°. Find ∠B.`,
+    `ΔABC is isosceles, and angles opposite equal sides are equal, so ∠B = ∠C = (180° - ${vertex}°)/2 = ${base}°.`,
+    ['angles opposite equal sides', 'isosceles'], base);
+}
+
+const CONGRUENCE_RULES = {
+  SSS: 'AB = PQ, BC = QR and CA = RP',
+  SAS: 'AB = PQ, ∠B = ∠Q and BC = QR',
+  ASA: '∠B = ∠Q, BC = QR and ∠C = ∠R',
+  AAS: '∠A = ∠P, ∠B = ∠Q and BC = QR',
+  RHS: '∠B = ∠Q = 90°, hypotenuse AC = PR and AB = PQ'
+};
+
+function congruenceRule(ctx) {
+  const rule = pickOne(Object.keys(CONGRUENCE_RULES));
+  return mathQuestion(ctx, 'tri-cong', {
+    type: QUESTION_TYPES.MCQ,
+    question: `In ΔABC and ΔPQR, ${CONGRUENCE_RULES[rule]}. By which congruence rule is ΔABC ≅ ΔPQR?`,
+    ...mcqOptions(rule, pickSome(Object.keys(CONGRUENCE_RULES).filter(r => r !== rule), 3)),
+    answer: `The congruence rule is ${rule}: the given parts, ${CONGRUENCE_RULES[rule]}, are exactly what ${rule} needs.`,
+    keywords: ['congruence rule', rule]
+  });
+}
+
+function basicProportionality(ctx) {
+  const ad = randInt(2, 6);
+  const db = randInt(2, 8);
+  const t = randInt(1, 3);
+  const ae = ad * t;
+  const ec = db * t;
+  return mathQuestion(ctx, 'tri-bpt', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `In ΔABC, DE ∥ BC with D on AB and E on AC. If AD = ${ad} cm, DB = ${db} cm and AE = ${ae} cm, find EC.`,
+    answer: `By the basic proportionality theorem, AD/DB = AE/EC ⇒ ${ad}/${db} = ${ae}/EC ⇒ EC = ${ae} × ${db}/${ad} = ${ec} cm.`,
+    keywords: ['basic proportionality theorem', 'AD/DB = AE/EC', `${ec} cm`],
+    numericAnswer: ec,
+    unit: 'cm'
+  });
+}
+
+function similarTriangleAreas(ctx) {
+  const [a, b] = pickSome([2, 3, 4, 5, 6, 7, 8, 9], 2);
+  const t = randInt(1, 4);
+  const areaA = a * a * t;
+  const areaB = b * b * t;
+  return mathQuestion(ctx, 'tri-sim', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `ΔABC ∼ ΔPQR with BC = ${a} cm and QR = ${b} cm. If ar(ΔABC) = ${areaA} cm², find ar(ΔPQR).`,
+    answer: `The ratio of the areas of similar triangles is the square of the ratio of corresponding sides: ` +
+      `ar(PQR)/ar(ABC) = (${b}/${a})² ⇒ ar(PQR) = ${areaA} × ${b * b}/${a * a} = ${areaB} cm².`,
+    keywords: ['similar triangles', 'square of the ratio', `${areaB} cm²`],
+    numericAnswer: areaB,
+    unit: 'cm²'
+  });
+}
+
+function pythagorasTheorem(ctx) {
+  const [leg1, leg2, hyp] = rightTriangle();
+  if (Math.random() < 0.5) {
+    return mathQuestion(ctx, 'tri-pyth', {
+      type: QUESTION_TYPES.NUMERICAL,
+      question: `A ladder ${hyp} m long reaches a window ${leg2} m above the ground. How far is the foot of the ladder from the wall?`,
+      answer: `By Pythagoras theorem, distance = √(${hyp}² - ${leg2}²) = √(${hyp * hyp - leg2 * leg2}) = ${leg1} m.`,
+      keywords: ['Pythagoras theorem', `√(${hyp}² - ${leg2}²)`, `${leg1} m`],
+      numericAnswer: leg1,
+      unit: 'm'
+    });
+  }
+  return mathQuestion(ctx, 'tri-pyth', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `In ΔABC, ∠B = 90°, AB = ${leg1} cm and BC = ${leg2} cm. Find AC.`,
+    answer: `By Pythagoras theorem, AC² = AB² + BC² = ${leg1 * leg1} + ${leg2 * leg2} = ${hyp * hyp} ⇒ AC = ${hyp} cm.`,
+    keywords: ['Pythagoras theorem', 'AC² = AB² + BC²', `${hyp} cm`],
+    numericAnswer: hyp,
+    unit: 'cm'
+  });
+}
+
+// Angle ratios whose parts add up to a divisor of 360.
+const QUADRILATERAL_RATIOS = [[1, 2, 3, 4], [2, 3, 5, 8], [3, 4, 5, 6], [1, 1, 2, 2], [2, 3, 3, 4], [3, 5, 9, 13], [1, 2, 4, 5], [3, 4, 4, 7]];
+
+function quadrilateralAngles(ctx) {
+  if (Math.random() < 0.6) {
+    const ratio = pickOne(QUADRILATERAL_RATIOS);
+    const total = ratio.reduce((sum, r) => sum + r, 0);
+    const unit = 360 / total;
+    const largest = Math.max(...ratio) * unit;
+    return angleQuestion(ctx, 'quad-ratio',
+      `The angles of a quadrilateral are in the ratio ${ratio.join(' : ')}. Find the largest angle.`,
+      `Let the angles be ${ratio.map(r => `${r}x`).join(', ')}. By the angle sum of a quadrilateral, ${total}x = 360° ⇒ x = ${unit}°, so the largest angle is ${Math.max(...ratio)} × ${unit}° = ${largest}°.`,
+      ['angle sum of a quadrilateral', '360°'], largest);
+  }
+  const [m, n] = pickOne(LINEAR_PAIR_RATIOS);
+  const smaller = (180 / (m + n)) * m;
+  return angleQuestion(ctx, 'quad-pgm',
+    `Two adjacent angles of a parallelogram are in the ratio ${m} : ${n}. Find the smaller angle.`,
+    `Adjacent angles of a parallelogram are supplementary: ${m}x + ${n}x = 180° ⇒ x = ${180 / (m + n)}°, so the smaller angle is ${smaller}°.`,
+    ['adjacent angles', 'supplementary'], smaller);
+}
+
+function parallelogramAreas(ctx) {
+  const kind = pickOne(['same-base', 'median', 'altitude']);
+  if (kind === 'altitude') {
+    const side = pickOne([6, 8, 9, 10, 12, 15]);
+    const height = pickOne([4, 5, 6, 8, 10]);
+    const area = side * height;
+    const other = pickOne([5, 6, 8, 10, 12, 15, 16, 20].filter(s => s !== side && area % s === 0)) || side;
+    return mathQuestion(ctx, 'apt-alt', {
+      type: QUESTION_TYPES.NUMERICAL,
+      question: `In parallelogram ABCD, AB = ${side} cm and the altitude to AB is ${height} cm. If AD = ${other} cm, find the altitude to AD.`,
+      answer: `Area of parallelogram = base × height = ${side} × ${height} = ${area} cm². Using AD as the base: altitude = ${area}/${other} = ${formatNumber(area / other)} cm.`,
+      keywords: ['area of parallelogram', 'base × height', `${formatNumber(area / other)} cm`],
+      numericAnswer: area / other,
+      unit: 'cm'
+    });
+  }
+  const area = 2 * randInt(12, 90);
+  if (kind === 'median') {
+    return mathQuestion(ctx, 'apt-med', {
+      type: QUESTION_TYPES.NUMERICAL,
+      question: `AD is a median of ΔABC. If ar(ΔABC) = ${area} cm², find ar(ΔABD).`,
+      answer: `A median divides a triangle into two triangles of equal area, so ar(ABD) = ${area}/2 = ${area / 2} cm².`,
+      keywords: ['median', 'equal area', `${area / 2} cm²`],
+      numericAnswer: area / 2,
+      unit: 'cm²'
+    });
+  }
+  return mathQuestion(ctx, 'apt-base', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `Parallelogram ABCD and ΔABP are on the same base AB and between the same parallels. If ar(ABCD) = ${area} cm², find ar(ΔABP).`,
+    answer: `A triangle and a parallelogram on the same base and between the same parallels: ar(ABP) is half of ar(ABCD) = ${area / 2} cm².`,
+    keywords: ['same base', 'same parallels', 'half', `${area / 2} cm²`],
+    numericAnswer: area / 2,
+    unit: 'cm²'
+  });
+}
+
+// Circles
+
+function chordDistance(ctx) {
+  const [d, half, r] = rightTriangle();
+  if (Math.random() < 0.5) {
+    return mathQuestion(ctx, 'circ-chord', {
+      type: QUESTION_TYPES.NUMERICAL,
+      question: `A chord of a circle of radius ${r} cm is at a distance of ${d} cm from the centre. Find the length of the chord.`,
+      answer: `The perpendicular from the centre bisects the chord. Half-chord = √(${r}² - ${d}²) = ${half} cm, so the chord is ${2 * half} cm.`,
+      keywords: ['perpendicular from the centre bisects the chord', `${2 * half} cm`],
+      numericAnswer: 2 * half,
+      unit: 'cm'
+    });
+  }
+  return mathQuestion(ctx, 'circ-dist', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `A chord of length ${2 * half} cm is drawn in a circle of radius ${r} cm. Find its distance from the centre.`,
+    answer: `The perpendicular from the centre bisects the chord, so distance = √(${r}² - ${half}²) = √${r * r - half * half} = ${d} cm.`,
+    keywords: ['perpendicular from the centre bisects the chord', `${d} cm`],
+    numericAnswer: d,
+    unit: 'cm'
+  });
+}
+
+function circleAngles(ctx) {
+  if (Math.random() < 0.5) {
+    const inscribed = randInt(20, 85);
+    return angleQuestion(ctx, 'circ-ang',
+      `An arc of a circle subtends an angle of ${2 * inscribed}° at the centre. Find the angle it subtends at a point on the remaining part of the circle.`,
+      `The angle subtended at the centre is double the angle at any point on the remaining part of the circle: ${2 * inscribed}°/2 = ${inscribed}°.`,
+      ['double the angle'], inscribed);
+  }
+  const a = randInt(50, 130);
+  return angleQuestion(ctx, 'circ-cyc',
+    `ABCD is a cyclic quadrilateral with ∠A = ${a}°. Find ∠C.`,
+    `Opposite angles of a cyclic quadrilateral are supplementary: ∠C = 180° - ${a}° = ${180 - a}°.`,
+    ['cyclic quadrilateral', 'supplementary'], 180 - a);
+}
+
+function tangentLength(ctx) {
+  const [r, t, d] = rightTriangle();
+  return mathQuestion(ctx, 'circ-tan', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `From a point P, ${d} cm from the centre O of a circle of radius ${r} cm, a tangent PT is drawn. Find the length of PT.`,
+    answer: `The tangent is perpendicular to the radius at the point of contact (OT ⊥ PT), so PT = √(OP² - OT²) = √(${d}² - ${r}²) = √${d * d - r * r} = ${t} cm.`,
+    keywords: ['perpendicular to the radius', `√(${d}² - ${r}²)`, `${t} cm`],
+    numericAnswer: t,
+    unit: 'cm'
+  });
+}
+
+function tangentsAngle(ctx) {
+  const angle = 2 * randInt(15, 70);
+  return angleQuestion(ctx, 'circ-tang',
+    `PA and PB are tangents to a circle with centre O from an external point P. If ∠APB = ${angle}°, find ∠AOB.`,
+    `A tangent is perpendicular to the radius at the point of contact: OA ⊥ PA and OB ⊥ PB. In quadrilateral OAPB, ∠AOB = 360° - 90° - 90° - ${angle}° = ${180 - angle}°.`,
+    ['perpendicular to the radius', '360°'], 180 - angle);
+}
+
+// Mensuration
+
+function heronsFormula(ctx) {
+  const k = randInt(1, 2);
+  const [a, b, c, baseArea] = pickOne(HERON_TRIANGLES);
+  const [x, y, z] = [a * k, b * k, c * k];
+  const s = (x + y + z) / 2;
+  const area = baseArea * k * k;
+  return mathQuestion(ctx, 'heron', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `Find the area of a triangle with sides ${x} cm, ${y} cm and ${z} cm using Heron's formula.`,
+    answer: `Semi-perimeter s = (${x} + ${y} + ${z})/2 = ${s} cm. By Heron's formula, area = √[s(s - a)(s - b)(s - c)] = √(${s} × ${s - x} × ${s - y} × ${s - z}) = ${area} cm².`,
+    keywords: ["Heron's formula", 'semi-perimeter', `${area} cm²`],
+    numericAnswer: area,
+    unit: 'cm²'
+  });
+}
+
+function volumeQuestion(ctx, key, question, answer, keywords, value, unit) {
+  return mathQuestion(ctx, key, {
+    type: QUESTION_TYPES.NUMERICAL,
+    question,
+    answer,
+    keywords: [...keywords, `${formatNumber(value)} ${unit}`],
+    numericAnswer: value,
+    unit
+  });
+}
+
+function cuboidSurface(ctx) {
+  const [l, b, h] = [randInt(5, 20), randInt(3, 12), randInt(2, 10)];
+  const area = 2 * (l * b + b * h + h * l);
+  return volumeQuestion(ctx, 'sv-cub',
+    `Find the total surface area of a cuboid ${l} cm long, ${b} cm wide and ${h} cm high.`,
+    `TSA = 2(lb + bh + hl) = 2(${l * b} + ${b * h} + ${h * l}) = ${area} cm².`,
+    ['2(lb + bh + hl)'], area, 'cm²');
+}
+
+function cylinderVolume(ctx) {
+  const r = pickOne([7, 14, 3.5]);
+  const h = randInt(4, 20);
+  const volume = PI * r * r * h;
+  return volumeQuestion(ctx, 'sv-cyl',
+    `Find the volume of a cylinder of radius ${r} cm and height ${h} cm. (Take π = 22/7)`,
+    `V = πr²h = 22/7 × ${r}² × ${h} = ${formatNumber(volume)} cm³.`,
+    ['πr²h'], volume, 'cm³');
+}
+
+// Radius, height and slant height of cones with a radius that suits π = 22/7.
+const CONES = [[7, 24, 25], [21, 20, 29], [21, 28, 35], [14, 48, 50]];
+
+function coneSurface(ctx) {
+  const [r, h, l] = pickOne(CONES);
+  const area = PI * r * l;
+  return volumeQuestion(ctx, 'sv-cone',
+    `A cone has base radius ${r} cm and height ${h} cm. Find its curved surface area. (Take π = 22/7)`,
+    `Slant height l = √(r² + h²) = √(${r * r} + ${h * h}) = ${l} cm. CSA = πrl = 22/7 × ${r} × ${l} = ${formatNumber(area)} cm².`,
+    ['slant height', 'πrl'], area, 'cm²');
+}
+
+function sphereSurface(ctx) {
+  const r = pickOne([7, 14, 21, 3.5]);
+  if (Math.random() < 0.5) {
+    const area = 4 * PI * r * r;
+    return volumeQuestion(ctx, 'sv-sph',
+      `Find the surface area of a sphere of radius ${r} cm. (Take π = 22/7)`,
+      `Surface area = 4πr² = 4 × 22/7 × ${r}² = ${formatNumber(area)} cm².`,
+      ['4πr²'], area, 'cm²');
+  }
+  const area = 3 * PI * r * r;
+  return volumeQuestion(ctx, 'sv-hem',
+    `Find the total surface area of a solid hemisphere of radius ${r} cm. (Take π = 22/7)`,
+    `TSA = curved surface + base = 2πr² + πr² = 3πr² = 3 × 22/7 × ${r}² = ${formatNumber(area)} cm².`,
+    ['3πr²'], area, 'cm²');
+}
+
+function combinedSolid(ctx) {
+  const r = pickOne([7, 14]);
+  let h = randInt(r, 3 * r);
+  h += (3 - ((h + 2 * r) % 3)) % 3;
+  const volume = (PI * r * r * (h + 2 * r)) / 3;
+  return volumeQuestion(ctx, 'sv-comb',
+    `A toy is a cone of radius ${r} cm and height ${h} cm mounted on a hemisphere of the same radius. Find its volume. (Take π = 22/7)`,
+    `V = ⅓πr²h + ⅔πr³ = ⅓πr²(h + 2r) = ⅓ × 22/7 × ${r}² × ${h + 2 * r} = ${formatNumber(volume)} cm³.`,
+    ['⅓πr²h', '⅔πr³'], volume, 'cm³');
+}
+
+function recastSolid(ctx) {
+  const k = randInt(1, 2);
+  const R = 3 * k;
+  const r = pickOne([2, 3, 6]) * k;
+  const h = (4 * R ** 3) / (3 * r * r);
+  return volumeQuestion(ctx, 'sv-recast',
+    `A metallic sphere of radius ${R} cm is melted and recast into a cylinder of radius ${r} cm. Find the height of the cylinder.`,
+    `The volume does not change: ⁴⁄₃πR³ = πr²h ⇒ h = 4R³/(3r²) = 4 × ${R ** 3}/(3 × ${r * r}) = ${formatNumber(h)} cm.`,
+    ['volume does not change', '4R³/(3r²)'], h, 'cm');
+}
+
+function sectorArea(ctx) {
+  const r = pickOne([7, 14, 21, 3.5]);
+  const theta = pickOne([30, 45, 60, 90, 120, 150]);
+  if (Math.random() < 0.4) {
+    const length = (theta / 360) * 2 * PI * r;
+    return volumeQuestion(ctx, 'arc',
+      `Find the length of an arc of a circle of radius ${r} cm that subtends an angle of ${theta}° at the centre. (Take π = 22/7)`,
+      `Arc length = θ/360° × 2πr = ${theta}/360 × 2 × 22/7 × ${r} = ${formatNumber(length)} cm.`,
+      ['θ/360° × 2πr'], length, 'cm');
+  }
+  const area = (theta / 360) * PI * r * r;
+  return volumeQuestion(ctx, 'sector',
+    `Find the area of a sector of a circle of radius ${r} cm with central angle ${theta}°. (Take π = 22/7)`,
+    `Area = θ/360° × πr² = ${theta}/360 × 22/7 × ${r}² = ${formatNumber(area)} cm².`,
+    ['θ/360° × πr²'], area, 'cm²');
+}
+
+function ringArea(ctx) {
+  const r = pickOne([7, 14]);
+  const R = r + pickOne([7, 14]);
+  const area = PI * (R * R - r * r);
+  return volumeQuestion(ctx, 'ring',
+    `Find the area of the ring between two concentric circles of radii ${R} cm and ${r} cm. (Take π = 22/7)`,
+    `Area = π(R² - r²) = 22/7 × (${R * R} - ${r * r}) = ${formatNumber(area)} cm².`,
+    ['π(R² - r²)'], area, 'cm²');
+}
+
+// Statistics
+
+function rawDataMeasure(ctx) {
+  const kind = pickOne(['mean', 'median', 'mode']);
+  const n = randInt(6, 9);
+  let data;
+  let mode;
+  if (kind === 'mode') {
+    const values = pickSome(Array.from({ length: 40 }, (_, i) => i + 10), n - 2);
+    mode = values[0];
+    data = shuffleArray([...values, mode, mode]);
+  } else {
+    data = Array.from({ length: n }, () => randInt(10, 60));
+  }
+  const sorted = [...data].sort((a, b) => a - b);
+  const list = data.join(', ');
+
+  if (kind === 'mean') {
+    const sum = data.reduce((s, v) => s + v, 0);
+    return mathQuestion(ctx, 'stat-mean', {
+      type: QUESTION_TYPES.NUMERICAL,
+      question: `Find the mean of: ${list}.`,
+      answer: `Mean = sum of observations / number of observations = ${sum}/${n} = ${formatNumber(sum / n)}.`,
+      keywords: ['mean', 'sum of observations', formatNumber(sum / n)],
+      numericAnswer: sum / n
+    });
+  }
+  if (kind === 'median') {
+    const mid = Math.floor(n / 2);
+    const median = n % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    const working = n % 2
+      ? `n = ${n} is odd, so the median is the ${ordinal(mid + 1)} value: ${median}.`
+      : `n = ${n} is even, so the median is the mean of the ${ordinal(mid)} and ${ordinal(mid + 1)} values: (${sorted[mid - 1]} + ${sorted[mid]})/2 = ${formatNumber(median)}.`;
+    return mathQuestion(ctx, 'stat-med', {
+      type: QUESTION_TYPES.NUMERICAL,
+      question: `Find the median of: ${list}.`,
+      answer: `In ascending order: ${sorted.join(', ')}. ${working}`,
+      keywords: ['ascending order', 'median', formatNumber(median)],
+      numericAnswer: median
+    });
+  }
+  return mathQuestion(ctx, 'stat-mode', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `Find the mode of: ${list}.`,
+    answer: `In ascending order: ${sorted.join(', ')}. The mode is the value that occurs most often: ${mode} occurs 3 times.`,
+    keywords: ['mode', 'most often', String(mode)],
+    numericAnswer: mode
+  });
+}
+
+function groupedTable(width, start, frequencies) {
+  const classes = frequencies.map((_, i) => `${start + i * width}-${start + (i + 1) * width}`);
+  return `Class: ${classes.join(', ')}<br>Frequency: ${frequencies.join(', ')}`;
+}
+
+function groupedMean(ctx) {
+  const width = pickOne([5, 10, 20]);
+  const start = width * randInt(0, 3);
+  const frequencies = Array.from({ length: 5 }, () => randInt(2, 12));
+  const marks = frequencies.map((_, i) => start + i * width + width / 2);
+  const sumF = frequencies.reduce((s, f) => s + f, 0);
+  const sumFx = frequencies.reduce((s, f, i) => s + f * marks[i], 0);
+  const mean = sumFx / sumF;
+  return mathQuestion(ctx, 'stat-gmean', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `Find the mean of the following data:<br>${groupedTable(width, start, frequencies)}`,
+    answer: `Class marks xᵢ: ${marks.join(', ')}. Σfᵢ = ${sumF}, Σfᵢxᵢ = ${sumFx}. Mean = Σfᵢxᵢ/Σfᵢ = ${sumFx}/${sumF} = ${formatNumber(mean)}.`,
+    keywords: ['class marks', 'Σfᵢxᵢ/Σfᵢ', formatNumber(mean)],
+    numericAnswer: mean
+  });
+}
+
+function groupedMode(ctx) {
+  const width = pickOne([5, 10, 20]);
+  const start = width * randInt(0, 3);
+  const modal = randInt(1, 3);
+  const frequencies = Array.from({ length: 5 }, () => randInt(2, 10));
+  frequencies[modal] = Math.max(...frequencies) + randInt(2, 6);
+  const [f0, f1, f2] = [frequencies[modal - 1], frequencies[modal], frequencies[modal + 1]];
+  const l = start + modal * width;
+  const mode = l + ((f1 - f0) / (2 * f1 - f0 - f2)) * width;
+  return mathQuestion(ctx, 'stat-gmode', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `Find the mode of the following data:<br>${groupedTable(width, start, frequencies)}`,
+    answer: `Modal class: ${l}-${l + width} (highest frequency). l = ${l}, h = ${width}, f₁ = ${f1}, f₀ = ${f0}, f₂ = ${f2}. ` +
+      `Mode = l + (f₁ - f₀)/(2f₁ - f₀ - f₂) × h = ${l} + ${f1 - f0}/${2 * f1 - f0 - f2} × ${width} = ${formatNumber(mode)}.`,
+    keywords: ['modal class', 'l + (f₁ - f₀)/(2f₁ - f₀ - f₂) × h', formatNumber(mode)],
+    numericAnswer: mode
+  });
+}
+
+function empiricalRelation(ctx) {
+  const mean = randInt(20, 60);
+  const median = mean + pickOne([-4, -3, -2, -1, 1, 2, 3, 4]);
+  const mode = 3 * median - 2 * mean;
+  return mathQuestion(ctx, 'stat-emp', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `For a distribution, the mean is ${mean} and the median is ${median}. Use the empirical relationship to find the mode.`,
+    answer: `Mode = 3 Median - 2 Mean = 3 × ${median} - 2 × ${mean} = ${mode}.`,
+    keywords: ['3 Median - 2 Mean', String(mode)],
+    numericAnswer: mode
+  });
+}
+
+// Trigonometry
+
+function trigonometricRatios(ctx) {
+  const [opp, adj, hyp] = rightTriangle(1);
+  const given = pickOne(['sin', 'cos', 'tan']);
+  const ratios = { sin: `${opp}/${hyp}`, cos: `${adj}/${hyp}`, tan: `${opp}/${adj}` };
+  const others = Object.keys(ratios).filter(r => r !== given);
+  return mathQuestion(ctx, 'trig-ratio', {
+    question: `If ${given} A = ${ratios[given]}, find ${others[0]} A and ${others[1]} A.`,
+    answer: `In a right triangle with angle A, take the two sides in ${given} A as ${ratios[given].replace('/', 'k and ')}k. ` +
+      `By Pythagoras, the sides are opposite = ${opp}k, adjacent = ${adj}k and hypotenuse = ${hyp}k. ` +
+      `So ${others[0]} A = ${ratios[others[0]]} and ${others[1]} A = ${ratios[others[1]]}.`,
+    keywords: ['Pythagoras', `${others[0]} A = ${ratios[others[0]]}`, `${others[1]} A = ${ratios[others[1]]}`]
+  });
+}
+
+// sin² and cos² of the standard angles, in quarters.
+const SIN_SQUARED = { 30: 1, 45: 2, 60: 3 };
+const COS_SQUARED = { 30: 3, 45: 2, 60: 1 };
+
+function standardAngles(ctx) {
+  const a = randInt(1, 4);
+  const b = randInt(1, 4);
+  const A = pickOne([30, 45, 60]);
+  const B = pickOne([30, 45, 60]);
+  const quarters = a * SIN_SQUARED[A] + b * COS_SQUARED[B];
+  const value = formatFraction(quarters, 4);
+  const expression = `${a > 1 ? a : ''}sin²${A}° + ${b > 1 ? b : ''}cos²${B}°`;
+  return mathQuestion(ctx, 'trig-std', {
+    type: QUESTION_TYPES.MCQ,
+    question: `Evaluate: ${expression}`,
+    ...mcqOptions(value, [quarters + 1, quarters - 1, quarters + 2, quarters + 4, quarters - 2].filter(n => n > 0).map(n => formatFraction(n, 4))),
+    answer: `sin²${A}° = ${formatFraction(SIN_SQUARED[A], 4)} and cos²${B}° = ${formatFraction(COS_SQUARED[B], 4)}, ` +
+      `so ${expression} = ${a} × ${formatFraction(SIN_SQUARED[A], 4)} + ${b} × ${formatFraction(COS_SQUARED[B], 4)} = ${value}.`,
+    keywords: [`sin²${A}° = ${formatFraction(SIN_SQUARED[A], 4)}`, `cos²${B}° = ${formatFraction(COS_SQUARED[B], 4)}`, value]
+  });
+}
+
+const ROOT3 = 1.732;
+
+function heightsAndDistances(ctx) {
+  const theta = pickOne([30, 45, 60]);
+  const d = 5 * randInt(2, 16);
+  const tan = { 30: 1 / ROOT3, 45: 1, 60: ROOT3 }[theta];
+  const exact = { 30: `${d}/√3`, 45: `${d}`, 60: `${d}√3` }[theta];
+
+  if (Math.random() < 0.5) {
+    const height = d * tan;
+    return mathQuestion(ctx, 'hd-tower', {
+      type: QUESTION_TYPES.NUMERICAL,
+      question: `From a point on the ground ${d} m from the foot of a tower, the angle of elevation of its top is ${theta}°. Find the height of the tower. (Take √3 = 1.732)`,
+      answer: `The angle of elevation is ${theta}°, so tan ${theta}° = h/${d} ⇒ h = ${d} × tan ${theta}° = ${exact} ≈ ${formatNumber(height)} m.`,
+      keywords: ['angle of elevation', `tan ${theta}°`, `${formatNumber(height)} m`],
+      numericAnswer: height,
+      unit: 'm',
+      diagram: 'angle-elevation'
+    });
+  }
+  const shadow = d / tan;
+  const shadowExact = { 30: `${d}√3`, 45: `${d}`, 60: `${d}/√3` }[theta];
+  return mathQuestion(ctx, 'hd-shadow', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `A pole ${d} m tall casts a shadow on level ground when the sun's altitude is ${theta}°. Find the length of the shadow. (Take √3 = 1.732)`,
+    answer: `The sun's angle of elevation is ${theta}°, so tan ${theta}° = ${d}/s ⇒ s = ${d}/tan ${theta}° = ${shadowExact} ≈ ${formatNumber(shadow)} m.`,
+    keywords: ['angle of elevation', `tan ${theta}°`, `${formatNumber(shadow)} m`],
+    numericAnswer: shadow,
+    unit: 'm'
+  });
+}
+
+// Constructions and Euclid's geometry
+
+function divideSegment(ctx) {
+  if (Math.random() < 0.5) {
+    const [m, n] = pickOne([[1, 2], [2, 3], [3, 4], [2, 5], [3, 5], [1, 3], [4, 5]]);
+    const length = (m + n) * pickOne([1, 1.5, 2]);
+    const ap = (m * length) / (m + n);
+    return mathQuestion(ctx, 'con-div', {
+      type: QUESTION_TYPES.NUMERICAL,
+      question: `A line segment AB of length ${formatNumber(length)} cm is divided internally at P in the ratio ${m} : ${n}. Find AP.`,
+      answer: `Since AP : PB is in the ratio ${m} : ${n}, AP = ${m}/(${m} + ${n}) × AB = ${m}/${m + n} × ${formatNumber(length)} = ${formatNumber(ap)} cm. ` +
+        `To construct it, draw a ray from A, mark ${m + n} equal parts, join the last mark to B and draw a parallel through the ${ordinal(m)} mark.`,
+      keywords: ['ratio', 'equal parts', 'parallel', `${formatNumber(ap)} cm`],
+      numericAnswer: ap,
+      unit: 'cm'
+    });
+  }
+  const [p, q] = pickOne([[3, 4], [3, 5], [5, 3], [2, 3], [4, 3], [7, 5]]);
+  const sides = pickOne([[4, 5, 6], [5, 6, 7], [6, 8, 10], [3, 4, 5]]);
+  const longest = (sides[2] * p) / q;
+  return mathQuestion(ctx, 'con-sim', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `A triangle has sides ${sides.join(' cm, ')} cm. A triangle similar to it is constructed with sides ${p}/${q} of the corresponding sides. Find its longest side.`,
+    answer: `Each side is multiplied by the scale factor ${p}/${q}: longest side = ${p}/${q} × ${sides[2]} = ${formatNumber(longest)} cm.`,
+    keywords: ['scale factor', `${p}/${q}`, `${formatNumber(longest)} cm`],
+    numericAnswer: longest,
+    unit: 'cm'
+  });
+}
+
+const EUCLID_AXIOMS = [
+  ['Things which are equal to the same thing are equal to one another.', (x, y, n) => `If ${x} = ${n} and ${y} = ${n}, then ${x} = ${y}.`],
+  ['If equals are added to equals, the wholes are equal.', (x, y, n) => `If ${x} = ${y}, then ${x} + ${n} = ${y} + ${n}.`],
+  ['If equals are subtracted from equals, the remainders are equal.', (x, y, n) => `If ${x} = ${y}, then ${x} - ${n} = ${y} - ${n}.`],
+  ['Things which coincide with one another are equal to one another.', (x, y) => `If segment ${x}${y} is placed on segment PQ and they fit exactly, then ${x}${y} = PQ.`],
+  ['The whole is greater than the part.', (x, y, n) => `If ${x} = ${y} + ${n} with ${n} > 0, then ${x} > ${y}.`],
+  ['Things which are double of the same things are equal to one another.', (x, y, n) => `If ${x} = 2 × ${n} and ${y} = 2 × ${n}, then ${x} = ${y}.`],
+  ['Things which are halves of the same things are equal to one another.', (x, y, n) => `If ${x} = ${n}/2 and ${y} = ${n}/2, then ${x} = ${y}.`]
+];
+
+function euclidAxiom(ctx) {
+  const [x, y] = pickSome(['a', 'b', 'p', 'q', 'x', 'y', 'AB', 'CD'], 2);
+  const n = randInt(3, 20);
+  const index = randInt(0, EUCLID_AXIOMS.length - 1);
+  const [axiom, example] = EUCLID_AXIOMS[index];
+  return mathQuestion(ctx, 'euclid', {
+    type: QUESTION_TYPES.MCQ,
+    question: `Which of Euclid's axioms justifies the statement: "${example(x, y, n)}"`,
+    ...mcqOptions(axiom, pickSome(EUCLID_AXIOMS.filter((_, i) => i !== index).map(([text]) => text), 3)),
+    answer: `Axiom ${index + 1}: ${axiom}`,
+    keywords: ['axiom', `Axiom ${index + 1}`]
+  });
+}
+
+// Quadratics, progressions, coordinates and probability
+
+function quadraticRoots(ctx) {
+  const r1 = randInt(-6, 9);
+  let r2 = randInt(-6, 9);
+  if (r2 === r1) r2 += 1;
+  const sum = r1 + r2;
+  const prod = r1 * r2;
+  return mathQuestion(ctx, 'qe', {
+    question: `Solve: ${formatTerms([[1, 'x²'], [-sum, 'x'], [prod, '']])} = 0`,
+    answer: `Factor: ${linearFactor(r1)}${linearFactor(r2)} = 0 ⇒ x = ${r1} or x = ${r2}.`,
+    keywords: ['factor', 'roots', 'x =', `x = ${r1}`, `x = ${r2}`]
+  });
+}
+
+const ROOT_NATURE = {
+  distinct: 'Two distinct real roots',
+  equal: 'Two equal real roots',
+  none: 'No real roots'
+};
+
+function natureOfRoots(ctx) {
+  const kind = pickOne(Object.keys(ROOT_NATURE));
+  const a = randInt(1, 4);
+  let b;
+  let c;
+  if (kind === 'distinct') {
+    const r1 = randInt(-5, 5);
+    const r2 = r1 + randInt(1, 6);
+    b = -a * (r1 + r2);
+    c = a * r1 * r2;
+  } else if (kind === 'equal') {
+    const r = pickOne([-4, -3, -2, -1, 1, 2, 3, 4]);
+    b = -2 * a * r;
+    c = a * r * r;
+  } else {
+    b = randInt(-4, 4);
+    c = Math.floor((b * b) / (4 * a)) + randInt(1, 5);
+  }
+  const discriminant = b * b - 4 * a * c;
+  const verdict = { distinct: '> 0, so the roots are real and distinct', equal: '= 0, so the roots are real and equal', none: '< 0, so there are no real roots' }[kind];
+  return mathQuestion(ctx, 'qe-nat', {
+    type: QUESTION_TYPES.MCQ,
+    question: `What is the nature of the roots of ${formatTerms([[a, 'x²'], [b, 'x'], [c, '']])} = 0?`,
+    ...mcqOptions(ROOT_NATURE[kind], [...Object.values(ROOT_NATURE), 'More than two real roots']),
+    answer: `Discriminant: b² - 4ac = ${paren(b)}² - 4 × ${a} × ${paren(c)} = ${discriminant}. D = ${discriminant} ${verdict}.`,
+    keywords: ['discriminant', 'b² - 4ac', `D = ${discriminant}`]
+  });
+}
+
+function apNthTerm(ctx) {
+  const a = randInt(-10, 15);
+  const d = randInt(1, 9);
+  const n = randInt(8, 18);
+  const an = a + (n - 1) * d;
+  return mathQuestion(ctx, 'ap', {
+    type: QUESTION_TYPES.MCQ,
+    question: `In the AP with first term a = ${a} and common difference d = ${d}, find the ${ordinal(n)} term.`,
+    ...mcqOptions(an, [an + d, an - d, an + 2 * d]),
+    answer: `aₙ = a + (n-1)d = ${a} + (${n}-1)×${d} = ${an}.`,
+    keywords: ['AP', 'aₙ = a + (n-1)d', `aₙ = ${an}`]
+  });
+}
+
+function apSum(ctx) {
+  const a = randInt(-5, 12);
+  const d = nonZero(-3, 6);
+  const n = randInt(8, 25);
+  const sum = (n * (2 * a + (n - 1) * d)) / 2;
+  return mathQuestion(ctx, 'ap-sum', {
+    type: QUESTION_TYPES.NUMERICAL,
+    question: `Find the sum of the first ${n} terms of the AP: ${a}, ${a + d}, ${a + 2 * d}, …`,
+    answer: `a = ${a}, d = ${d}. Sₙ = n/2 [2a + (n - 1)d] = ${n}/2 [2 × ${paren(a)} + ${n - 1} × ${paren(d)}] = ${sum}.`,
+    keywords: ['Sₙ = n/2 [2a + (n - 1)d]', String(sum)],
+    numericAnswer: sum
+  });
+}
+
+function coordinateDistance(ctx) {
+  const x1 = randInt(-6, 6);
+  const y1 = randInt(-6, 6);
+  const dx = randInt(-6, 6);
+  const dy = randInt(-6, 6);
+  const x2 = x1 + (dx === 0 ? 3 : dx);
+  const y2 = y1 + (dy === 0 ? 4 : dy);
+  const a = x2 - x1;
+  const b = y2 - y1;
+  return mathQuestion(ctx, 'cg', {
+    question: `Find the distance between points (${x1}, ${y1}) and (${x2}, ${y2}).`,
+    answer: `Distance = √[(${x2} - ${x1})² + (${y2} - ${y1})²] = √[(${a})² + (${b})²] = √(${a * a + b * b})`,
+    keywords: ['distance', '√', '(x₂-x₁)²', '(y₂-y₁)²']
+  });
+}
+
+function sectionFormula(ctx) {
+  const m = randInt(1, 4);
+  const n = randInt(1, 4);
+  const x1 = randInt(-6, 6);
+  const y1 = randInt(-6, 6);
+  const kx = nonZero(-3, 3);
+  const ky = nonZero(-3, 3);
+  const [x2, y2] = [x1 + (m + n) * kx, y1 + (m + n) * ky];
+  const [px, py] = [x1 + m * kx, y1 + m * ky];
+  return mathQuestion(ctx, 'cg-sec', {
+    question: `Find the coordinates of the point that divides the join of A(${x1}, ${y1}) and B(${x2}, ${y2}) internally in the ratio ${m} : ${n}.`,
+    answer: `Section formula: ((mx₂ + nx₁)/(m + n), (my₂ + ny₁)/(m + n)) = ((${m} × ${paren(x2)} + ${n} × ${paren(x1)})/${m + n}, ` +
+      `(${m} × ${paren(y2)} + ${n} × ${paren(y1)})/${m + n}) = (${px}, ${py}).`,
+    keywords: ['section formula', '(mx₂ + nx₁)/(m + n)', `(${px}, ${py})`]
+  });
+}
+
+const QUADRANTS = ['Quadrant I', 'Quadrant II', 'Quadrant III', 'Quadrant IV'];
+
+function pointQuadrant(ctx) {
+  const x = nonZero(-9, 9);
+  const y = nonZero(-9, 9);
+  const quadrant = x > 0 ? (y > 0 ? 0 : 3) : y > 0 ? 1 : 2;
+  const signs = `(${x > 0 ? '+' : '-'}, ${y > 0 ? '+' : '-'})`;
+  return mathQuestion(ctx, 'cg-quad', {
+    type: QUESTION_TYPES.MCQ,
+    question: `In which quadrant does the point (${x}, ${y}) lie?`,
+    options: QUADRANTS,
+    correctOption: quadrant + 1,
+    answer: `The abscissa is ${x > 0 ? 'positive' : 'negative'} and the ordinate is ${y > 0 ? 'positive' : 'negative'}: signs ${signs}, so the point is in ${QUADRANTS[quadrant]}.`,
+    keywords: ['abscissa', 'ordinate', signs, QUADRANTS[quadrant]]
+  });
+}
+
+function diceProbability(ctx) {
+  const target = pickOne(['even', 'odd', 'prime']);
+  return mathQuestion(ctx, 'prob', {
+    type: QUESTION_TYPES.MCQ,
+    question: `A fair dice is thrown once. Find the probability of getting a ${target} number.`,
+    options: ['1/6', '1/3', '1/2', '2/3'],
+    correctOption: 3,
+    answer: `P(${target}) = 3/6 = 1/2.`,
+    keywords: ['probability', 'favourable outcomes', 'sample space', '1/2']
+  });
+}
+
+function bagProbability(ctx) {
+  const counts = { red: randInt(2, 9), blue: randInt(2, 9), green: randInt(2, 9) };
+  const total = counts.red + counts.blue + counts.green;
+  const colour = pickOne(Object.keys(counts));
+  const negate = Math.random() < 0.4;
+  const favourable = negate ? total - counts[colour] : counts[colour];
+  const correct = formatFraction(favourable, total);
+  return mathQuestion(ctx, 'prob-bag', {
+    type: QUESTION_TYPES.MCQ,
+    question: `A bag contains ${counts.red} red, ${counts.blue} blue and ${counts.green} green balls. One ball is drawn at random. Find the probability that it is ${negate ? 'not ' : ''}${colour}.`,
+    ...mcqOptions(correct, [
+      formatFraction(total - favourable, total),
+      formatFraction(favourable, total - favourable),
+      formatFraction(favourable + 1, total),
+      formatFraction(Math.max(1, favourable - 1), total),
+      `1/${total}`
+    ]),
+    answer: `Total outcomes = ${total}; favourable outcomes = ${favourable}. P = ${fractionWorking(favourable, total)}.`,
+    keywords: ['favourable outcomes', 'total outcomes', correct]
+  });
+}
+
+function twoDiceProbability(ctx) {
+  const sum = randInt(2, 12);
+  const pairs = [];
+  for (let i = 1; i <= 6; i++) {
+    if (sum - i >= 1 && sum - i <= 6) pairs.push(`(${i}, ${sum - i})`);
+  }
+  const correct = formatFraction(pairs.length, 36);
+  return mathQuestion(ctx, 'prob-2d', {
+    type: QUESTION_TYPES.MCQ,
+    question: `Two dice are thrown together. Find the probability that the sum of the numbers on them is ${sum}.`,
+    ...mcqOptions(correct, [
+      formatFraction(pairs.length + 1, 36),
+      formatFraction(pairs.length, 12),
+      formatFraction(Math.max(1, pairs.length - 1), 36),
+      '1/6',
+      '1/36',
+      '1/12'
+    ]),
+    answer: `There are 36 outcomes, all equally likely. Sum ${sum}: ${pairs.join(', ')} — ${pairs.length} favourable outcomes. P = ${fractionWorking(pairs.length, 36)}.`,
+    keywords: ['36 outcomes', 'favourable outcomes', correct]
+  });
+}
+
+const CARD_EVENTS = [['a king', 4], ['a red card', 26], ['a spade', 13], ['a face card', 12], ['a red face card', 6], ['the queen of hearts', 1], ['a black king', 2], ['an ace', 4], ['a red ace', 2]];
+
+function cardProbability(ctx) {
+  const [event, count] = pickOne(CARD_EVENTS);
+  const negate = Math.random() < 0.3;
+  const favourable = negate ? 52 - count : count;
+  const correct = formatFraction(favourable, 52);
+  return mathQuestion(ctx, 'prob-card', {
+    type: QUESTION_TYPES.MCQ,
+    question: `One card is drawn at random from a well-shuffled deck of 52 playing cards. Find the probability that it is ${negate ? 'not ' : ''}${event}.`,
+    ...mcqOptions(correct, [
+      formatFraction(52 - favourable, 52),
+      ...CARD_EVENTS.map(([, n]) => formatFraction(n, 52)),
+      formatFraction(favourable, 26)
+    ].filter(f => f !== '1' && f !== '2')),
+    answer: `Of the 52 cards, ${count} are ${event}${negate ? `, so ${favourable} are not` : ''}: ${favourable} favourable outcomes. P = ${fractionWorking(favourable, 52)}.`,
+    keywords: ['52 cards', 'favourable outcomes', correct]
+  });
+}
+
+// First match wins. `grades` limits an entry to those classes; `match` is a lower-case part of
+// the chapter name. Several generators per chapter keep a session varied.
+const CHAPTER_GENERATORS = [
+  { match: 'quadratic', generators: [quadraticRoots, natureOfRoots] },
+  { match: 'coordinate', grades: [9], generators: [pointQuadrant] },
+  { match: 'coordinate', generators: [coordinateDistance, sectionFormula] },
+  { match: 'arithmetic progression', generators: [apNthTerm, apSum] },
+  { match: 'number system', generators: [simplifySurd, recurringDecimal, rationaliseDenominator] },
+  { match: 'real numbers', grades: [10], generators: [hcfAndLcm, hcfLcmProduct] },
+  { match: 'probability', grades: [9], generators: [diceProbability, bagProbability] },
+  { match: 'probability', generators: [diceProbability, bagProbability, twoDiceProbability, cardProbability] },
+  { match: 'polynomial', grades: [9], generators: [remainderTheorem, factorTheorem, algebraicIdentity] },
+  { match: 'polynomial', grades: [10], generators: [zeroesAndCoefficients, quadraticFromZeroes, symmetricFunctionOfZeroes] },
+  { match: 'linear equations in two variables', grades: [9], generators: [solutionOfLinearEquation, pointOnLine] },
+  { match: 'pair of linear equations', grades: [10], generators: [solvePairOfEquations, pairConsistency] },
+  { match: 'lines and angles', grades: [9], generators: [linesAndAngles] },
+  { match: 'parallelograms and triangles', grades: [9], generators: [parallelogramAreas] },
+  { match: 'triangles', grades: [9], generators: [triangleAngles, congruenceRule] },
+  { match: 'triangles', grades: [10], generators: [basicProportionality, similarTriangleAreas, pythagorasTheorem] },
+  { match: 'quadrilateral', grades: [9], generators: [quadrilateralAngles] },
+  { match: 'areas related to circles', grades: [10], generators: [sectorArea, ringArea] },
+  { match: 'circles', grades: [9], generators: [chordDistance, circleAngles] },
+  { match: 'circles', grades: [10], generators: [tangentLength, tangentsAngle] },
+  { match: 'heron', grades: [9], generators: [heronsFormula] },
+  { match: 'surface areas and volumes', grades: [9], generators: [cuboidSurface, cylinderVolume, coneSurface, sphereSurface] },
+  { match: 'surface areas and volumes', grades: [10], generators: [combinedSolid, recastSolid, cylinderVolume, coneSurface] },
+  { match: 'statistics', grades: [9], generators: [rawDataMeasure] },
+  { match: 'statistics', grades: [10], generators: [groupedMean, groupedMode, empiricalRelation] },
+  { match: 'introduction to trigonometry', grades: [10], generators: [trigonometricRatios, standardAngles] },
+  { match: 'applications of trigonometry', grades: [10], generators: [heightsAndDistances] },
+  { match: 'construction', grades: [9, 10], generators: [divideSegment] },
+  { match: 'euclid', grades: [9], generators: [euclidAxiom] }
+];
+
+function generateMathQuestion({ grade, chapter }) {
+  const ctx = { grade, chapter };
+  const name = String(chapter).toLowerCase();
+  const entry = CHAPTER_GENERATORS.find(e => name.includes(e.match) && (!e.grades || e.grades.includes(grade)));
+  if (entry) return pickOne(entry.generators)(ctx);
+
+  // Fallback: generic short question.
+  return liveQuestion({
+    ...ctx,
+    subject: 'Mathematics',
+    key: 'm',
+    tags: ['live'],
+    question: `Write the key definition / formula used in the chapter "${chapter}" and one worked example.`,
+    answer: `This is an open-ended practice prompt. Write the main definition/formula and a solved example from the chapter.`,
+    keywords: ['definition', 'formula', 'example']
+  });
+}
+
+module.exports = { generateMathQuestion };
@@ -0,0 +1,467 @@
+/*
+  Live Physics numericals for Classes 11 and 12: kinematics, projectiles, Newton's laws, work
+  and energy, oscillations, electrostatics, circuits, AC, optics, photons and radioactive decay.
+
+  Values are drawn so the working stays readable; answers are checked against numericAnswer.
+  Constants: g = 9.8 m/s², 1/(4πε₀) = 9 × 10⁹ N m²/C², hc = 1240 eV nm.
+*/
+
+'use strict';
+
+const { randInt, pickOne, formatNumber, formatScientific, superscript, liveQuestion, liveNumerical } = require('./common');
+
+const G = 9.8;
+const COULOMB_K = 9e9;
+const HC_EV_NM = 1240;
+const DEG = Math.PI / 180;
+
+function numerical(ctx, key, fields) {
+  return liveNumerical({ grade: ctx.grade, subject: 'Physics', chapter: ctx.chapter, key: `p-${key}`, ...fields });
+}
+
+// Motion in a straight line
+
+function equationsOfMotion(ctx) {
+  const u = pickOne([0, 2, 4, 5, 10, 15, 20]);
+  const a = pickOne([0.5, 1, 2, 2.5, 3, 4]);
+  const t = randInt(2, 10);
+  const v = u + a * t;
+  const s = u * t + 0.5 * a * t * t;
+  const kind = pickOne(['v', 's', 'a']);
+  if (kind === 'v') {
+    return numerical(ctx, 'kin-v', {
+      question: `A particle moving at ${u} m/s has a uniform acceleration of ${a} m/s². What is its velocity after ${t} s?`,
+      answer: `v = u + at = ${u} + ${a} × ${t} = ${formatNumber(v)} m/s.`,
+      keywords: ['v = u + at'],
+      value: v,
+      unit: 'm/s'
+    });
+  }
+  if (kind === 's') {
+    return numerical(ctx, 'kin-s', {
+      question: `A car starts at ${u} m/s and accelerates uniformly at ${a} m/s² for ${t} s. Find the distance covered.`,
+      answer: `s = ut + ½at² = ${u} × ${t} + ½ × ${a} × ${t}² = ${formatNumber(s)} m.`,
+      keywords: ['s = ut + ½at²'],
+      value: s,
+      unit: 'm'
+    });
+  }
+  return numerical(ctx, 'kin-a', {
+    question: `A body's velocity changes uniformly from ${u} m/s to ${formatNumber(v)} m/s while it covers ${formatNumber(s)} m. Find its acceleration.`,
+    answer: `v² = u² + 2as ⇒ a = (v² - u²)/(2s) = (${formatNumber(v * v)} - ${u * u})/(2 × ${formatNumber(s)}) = ${a} m/s².`,
+    keywords: ['v² = u² + 2as'],
+    value: a,
+    unit: 'm/s²'
+  });
+}
+
+function verticalThrow(ctx) {
+  const t = pickOne([1, 1.5, 2, 2.5, 3, 4]);
+  const u = G * t;
+  const h = (u * u) / (2 * G);
+  if (Math.random() < 0.5) {
+    return numerical(ctx, 'kin-up-h', {
+      question: `A ball is thrown vertically upwards at ${formatNumber(u)} m/s. How high does it rise? (g = 9.8 m/s²)`,
+      answer: `At the highest point v = 0, so v² = u² - 2gh ⇒ h = u²/(2g) = ${formatNumber(u)}²/(2 × 9.8) = ${formatNumber(h)} m.`,
+      keywords: ['u²/(2g)'],
+      value: h,
+      unit: 'm'
+    });
+  }
+  return numerical(ctx, 'kin-up-t', {
+    question: `A ball is thrown vertically upwards at ${formatNumber(u)} m/s. After how long does it return to the thrower's hand? (g = 9.8 m/s², ignore air resistance)`,
+    answer: `Time to the top = u/g = ${formatNumber(u)}/9.8 = ${t} s; the fall takes as long. Total time = 2u/g = ${formatNumber(2 * t)} s.`,
+    keywords: ['2u/g'],
+    value: 2 * t,
+    unit: 's'
+  });
+}
+
+// Motion in a plane
+
+function projectile(ctx) {
+  const u = pickOne([10, 14, 20, 25, 30, 40]);
+  const angle = pickOne([30, 45, 60]);
+  const sin = Math.sin(angle * DEG);
+  const kind = pickOne(['range', 'height', 'time']);
+  const launch = `A projectile is fired at ${u} m/s at ${angle}° to the horizontal. (g = 9.8 m/s²)`;
+  if (kind === 'range') {
+    const r = (u * u * Math.sin(2 * angle * DEG)) / G;
+    return numerical(ctx, 'proj-r', {
+      question: `${launch} Find its horizontal range.`,
+      answer: `R = u² sin 2θ/g = ${u}² × sin ${2 * angle}°/9.8 = ${formatNumber(r)} m.`,
+      keywords: ['R = u² sin 2θ/g'],
+      value: r,
+      unit: 'm'
+    });
+  }
+  if (kind === 'height') {
+    const h = (u * u * sin * sin) / (2 * G);
+    return numerical(ctx, 'proj-h', {
+      question: `${launch} Find the maximum height it reaches.`,
+      answer: `H = u² sin²θ/(2g) = ${u}² × sin² ${angle}°/(2 × 9.8) = ${formatNumber(h)} m.`,
+      keywords: ['H = u² sin²θ/(2g)'],
+      value: h,
+      unit: 'm'
+    });
+  }
+  const t = (2 * u * sin) / G;
+  return numerical(ctx, 'proj-t', {
+    question: `${launch} Find its time of flight.`,
+    answer: `T = 2u sin θ/g = 2 × ${u} × sin ${angle}°/9.8 = ${formatNumber(t)} s.`,
+    keywords: ['T = 2u sin θ/g'],
+    value: t,
+    unit: 's'
+  });
+}
+
+function horizontalThrow(ctx) {
+  const t = randInt(1, 4);
+  const h = 4.9 * t * t;
+  const v = pickOne([5, 8, 10, 12, 15, 20]);
+  return numerical(ctx, 'proj-horiz', {
+    question: `A stone is thrown horizontally at ${v} m/s from the top of a cliff ${formatNumber(h)} m high. How far from the foot of the cliff does it land? (g = 9.8 m/s²)`,
+    answer: `Vertical motion: h = ½gt² ⇒ t = √(2 × ${formatNumber(h)}/9.8) = ${t} s. Horizontal distance = vt = ${v} × ${t} = ${v * t} m.`,
+    keywords: ['h = ½gt²', 'vt'],
+    value: v * t,
+    unit: 'm'
+  });
+}
+
+// Laws of motion
+
+function liftWeight(ctx) {
+  const m = pickOne([40, 50, 60, 70, 80]);
+  const a = pickOne([0.5, 1, 1.2, 2, 2.5]);
+  const up = Math.random() < 0.5;
+  const reading = m * (up ? G + a : G - a);
+  return numerical(ctx, 'nlm-lift', {
+    question: `A ${m} kg person stands on a weighing scale in a lift accelerating ${up ? 'upwards' : 'downwards'} at ${a} m/s². What force does the scale read? (g = 9.8 m/s²)`,
+    answer: `The scale reads the normal reaction R. ${up ? 'R - mg = ma ⇒ R = m(g + a)' : 'mg - R = ma ⇒ R = m(g - a)'} = ${m} × ${formatNumber(up ? G + a : G - a)} = ${formatNumber(reading)} N.`,
+    keywords: ['normal reaction', up ? 'm(g + a)' : 'm(g - a)'],
+    value: reading,
+    unit: 'N'
+  });
+}
+
+function connectedBodies(ctx) {
+  const m1 = pickOne([2, 3, 4, 5, 6]);
+  const m2 = pickOne([1, 2, 3, 4, 5].filter(m => m !== m1));
+  const f = pickOne([10, 12, 18, 20, 24, 30]);
+  const a = f / (m1 + m2);
+  const tension = m2 * a;
+  return numerical(ctx, 'nlm-tension', {
+    question: `Blocks of ${m1} kg and ${m2} kg, joined by a light string, lie on a smooth horizontal table. A force of ${f} N pulls the ${m1} kg block. Find the tension in the string.`,
+    answer: `Acceleration of the system a = F/(m₁ + m₂) = ${f}/${m1 + m2} = ${formatNumber(a)} m/s². ` +
+      `The string alone pulls the ${m2} kg block: T = m₂a = ${m2} × ${formatNumber(a)} = ${formatNumber(tension)} N.`,
+    keywords: ['F/(m₁ + m₂)', 'T = m₂a'],
+    value: tension,
+    unit: 'N'
+  });
+}
+
+function impulse(ctx) {
+  const grams = pickOne([100, 150, 200, 250, 400]);
+  const u = pickOne([10, 12, 15, 20]);
+  const v = pickOne([5, 8, 10, 12]);
+  const j = (grams / 1000) * (u + v);
+  return numerical(ctx, 'nlm-impulse', {
+    question: `A ${grams} g ball hits a wall at ${u} m/s and rebounds along the same line at ${v} m/s. Find the magnitude of the impulse on the ball.`,
+    answer: `Impulse = change in momentum = m(v - u) = ${grams / 1000} × (${v} - (-${u})) = ${formatNumber(j)} N s (directed away from the wall).`,
+    keywords: ['impulse', 'change in momentum'],
+    value: j,
+    unit: 'N s'
+  });
+}
+
+// Work, energy and power
+
+function workAtAngle(ctx) {
+  const f = pickOne([10, 20, 25, 40, 50]);
+  const s = pickOne([2, 4, 5, 10]);
+  const angle = pickOne([0, 30, 45, 60]);
+  const w = f * s * Math.cos(angle * DEG);
+  return numerical(ctx, 'wep-w', {
+    question: `A force of ${f} N, acting at ${angle}° to the direction of motion, moves a trolley ${s} m. Find the work done by the force.`,
+    answer: `W = Fs cos θ = ${f} × ${s} × cos ${angle}° = ${formatNumber(w)} J.`,
+    keywords: ['W = Fs cos θ'],
+    value: w,
+    unit: 'J'
+  });
+}
+
+function springEnergy(ctx) {
+  const k = pickOne([100, 200, 400, 500, 800]);
+  const cm = pickOne([2, 4, 5, 10, 15]);
+  const x = cm / 100;
+  const e = 0.5 * k * x * x;
+  return numerical(ctx, 'wep-spring', {
+    question: `A spring of spring constant ${k} N/m is compressed by ${cm} cm. How much potential energy is stored in it?`,
+    answer: `x = ${x} m. U = ½kx² = ½ × ${k} × ${x}² = ${formatNumber(e, 3)} J.`,
+    keywords: ['U = ½kx²'],
+    value: e,
+    unit: 'J',
+    display: formatNumber(e, 3)
+  });
+}
+
+function pumpPower(ctx) {
+  const litres = pickOne([200, 500, 600, 1000]);
+  const h = pickOne([10, 12, 15, 20, 25]);
+  const minutes = pickOne([1, 2, 5, 10]);
+  const p = (litres * G * h) / (minutes * 60);
+  return numerical(ctx, 'wep-power', {
+    question: `A pump lifts ${litres} litres of water to a tank ${h} m high in ${minutes} minute${minutes > 1 ? 's' : ''}. Find its power output. (1 litre of water has a mass of 1 kg; g = 9.8 m/s²)`,
+    answer: `Work done = mgh = ${litres} × 9.8 × ${h} = ${formatNumber(litres * G * h)} J. Power = work/time = ${formatNumber(litres * G * h)}/${minutes * 60} = ${formatNumber(p)} W.`,
+    keywords: ['mgh', 'work/time'],
+    value: p,
+    unit: 'W'
+  });
+}
+
+// Oscillations
+
+function periodOfOscillation(ctx) {
+  if (Math.random() < 0.5) {
+    const l = pickOne([0.25, 0.5, 1, 1.5, 2]);
+    const t = 2 * Math.PI * Math.sqrt(l / G);
+    return numerical(ctx, 'osc-pendulum', {
+      question: `Find the time period of a simple pendulum of length ${l} m. (g = 9.8 m/s²)`,
+      answer: `T = 2π√(l/g) = 2π√(${l}/9.8) = ${formatNumber(t)} s.`,
+      keywords: ['T = 2π√(l/g)'],
+      value: t,
+      unit: 's'
+    });
+  }
+  const m = pickOne([0.1, 0.2, 0.5, 1, 2]);
+  const k = pickOne([20, 50, 100, 200]);
+  const t = 2 * Math.PI * Math.sqrt(m / k);
+  return numerical(ctx, 'osc-spring', {
+    question: `A ${m} kg mass hangs from a spring of spring constant ${k} N/m and oscillates. Find the time period.`,
+    answer: `T = 2π√(m/k) = 2π√(${m}/${k}) = ${formatNumber(t, 3)} s.`,
+    keywords: ['T = 2π√(m/k)'],
+    value: t,
+    unit: 's',
+    display: formatNumber(t, 3)
+  });
+}
+
+// Electrostatics
+
+function coulombForce(ctx) {
+  const q1 = pickOne([1, 2, 3, 4, 5]);
+  const q2 = pickOne([1, 2, 3, 5, 6]);
+  const cm = pickOne([3, 5, 10, 20, 30]);
+  const r = cm / 100;
+  const f = (COULOMB_K * q1 * 1e-6 * q2 * 1e-6) / (r * r);
+  return numerical(ctx, 'es-coulomb', {
+    question: `Two point charges of ${q1} μC and ${q2} μC are ${cm} cm apart in vacuum. Find the force between them. (1/(4πε₀) = 9 × 10⁹ N m²/C²)`,
+    answer: `By Coulomb's law, F = q₁q₂/(4πε₀r²) = 9 × 10⁹ × ${q1} × 10⁻⁶ × ${q2} × 10⁻⁶/${r}² = ${formatNumber(f)} N (repulsive, since both are positive).`,
+    keywords: ["Coulomb's law"],
+    value: f,
+    unit: 'N'
+  });
+}
+
+function capacitors(ctx) {
+  const [a, b] = pickOne([[2, 3], [3, 6], [4, 12], [2, 2], [6, 12], [10, 15]]);
+  const v = pickOne([6, 12, 50, 100, 200]);
+  const series = (a * b) / (a + b);
+  if (Math.random() < 0.5) {
+    const q = series * v;
+    return numerical(ctx, 'es-series', {
+      question: `Capacitors of ${a} μF and ${b} μF are connected in series across a ${v} V supply. Find the charge on each capacitor.`,
+      answer: `In series, 1/C = 1/C₁ + 1/C₂ = 1/${a} + 1/${b} ⇒ C = ${formatNumber(series)} μF. Each capacitor carries the same charge Q = CV = ${formatNumber(series)} × ${v} = ${formatNumber(q)} μC.`,
+      keywords: ['1/C = 1/C₁ + 1/C₂', 'Q = CV'],
+      value: q,
+      unit: 'μC'
+    });
+  }
+  const c = a + b;
+  const e = 0.5 * c * 1e-6 * v * v;
+  return numerical(ctx, 'es-energy', {
+    question: `Capacitors of ${a} μF and ${b} μF are connected in parallel across a ${v} V supply. Find the total energy stored.`,
+    answer: `In parallel, C = C₁ + C₂ = ${a} + ${b} = ${c} μF. U = ½CV² = ½ × ${c} × 10⁻⁶ × ${v}² = ${formatScientific(e, 3)} J.`,
+    keywords: ['C = C₁ + C₂', 'U = ½CV²'],
+    value: e,
+    unit: 'J',
+    display: formatScientific(e, 3)
+  });
+}
+
+// Current electricity
+
+function internalResistance(ctx) {
+  const emf = pickOne([1.5, 2, 3, 6, 9, 12]);
+  const r = pickOne([0.5, 1, 2]);
+  const R = pickOne([2.5, 4, 5, 10, 11]);
+  const i = emf / (R + r);
+  if (Math.random() < 0.5) {
+    return numerical(ctx, 'ce-current', {
+      question: `A cell of emf ${emf} V and internal resistance ${r} Ω is connected to a ${R} Ω resistor. Find the current.`,
+      answer: `I = ε/(R + r) = ${emf}/(${R} + ${r}) = ${formatNumber(i, 3)} A.`,
+      keywords: ['I = ε/(R + r)'],
+      value: i,
+      unit: 'A',
+      display: formatNumber(i, 3)
+    });
+  }
+  const v = emf - i * r;
+  return numerical(ctx, 'ce-terminal', {
+    question: `A cell of emf ${emf} V and internal resistance ${r} Ω is connected to a ${R} Ω resistor. Find the potential difference across the terminals of the cell.`,
+    answer: `I = ε/(R + r) = ${emf}/${R + r} = ${formatNumber(i, 3)} A. V = ε - Ir = ${emf} - ${formatNumber(i, 3)} × ${r} = ${formatNumber(v)} V (= IR).`,
+    keywords: ['V = ε - Ir'],
+    value: v,
+    unit: 'V'
+  });
+}
+
+function wheatstoneBridge(ctx) {
+  const p = pickOne([2, 5, 10, 20]);
+  const q = pickOne([4, 10, 20, 40, 50]);
+  const s = pickOne([3, 6, 8, 12, 15]);
+  const x = (p / q) * s;
+  return numerical(ctx, 'ce-bridge', {
+    question: `A Wheatstone bridge is balanced with P = ${p} Ω, Q = ${q} Ω and S = ${s} Ω. Find the unknown resistance R (in the arm opposite Q).`,
+    answer: `At balance, P/Q = R/S ⇒ R = (P/Q) × S = (${p}/${q}) × ${s} = ${formatNumber(x)} Ω.`,
+    keywords: ['P/Q = R/S', 'balance'],
+    value: x,
+    unit: 'Ω'
+  });
+}
+
+function networkCurrent(ctx) {
+  const [a, b] = pickOne([[3, 6], [4, 12], [6, 12], [10, 15], [6, 6], [20, 30]]);
+  const series = randInt(1, 10);
+  const parallel = (a * b) / (a + b);
+  const total = series + parallel;
+  const v = pickOne([6, 9, 12, 24]);
+  const i = v / total;
+  const iA = i * (b / (a + b));
+  return numerical(ctx, 'ce-network', {
+    question: `A ${series} Ω resistor is in series with a parallel pair of ${a} Ω and ${b} Ω, across a ${v} V battery of negligible internal resistance. Find the current through the ${a} Ω resistor.`,
+    answer: `Parallel pair: ${a} × ${b}/(${a} + ${b}) = ${formatNumber(parallel)} Ω. Total = ${formatNumber(total)} Ω, so I = ${v}/${formatNumber(total)} = ${formatNumber(i, 3)} A. ` +
+      `It divides in inverse ratio of resistance: I(${a} Ω) = I × ${b}/(${a} + ${b}) = ${formatNumber(iA, 3)} A.`,
+    keywords: ['parallel', 'inverse ratio'],
+    value: iA,
+    unit: 'A',
+    display: formatNumber(iA, 3)
+  });
+}
+
+// Alternating current
+
+function rmsValue(ctx) {
+  if (Math.random() < 0.5) {
+    const rms = pickOne([110, 220, 230, 240]);
+    const peak = rms * Math.SQRT2;
+    return numerical(ctx, 'ac-peak', {
+      question: `The rms voltage of an AC supply is ${rms} V. Find its peak voltage.`,
+      answer: `V₀ = √2 × Vrms = 1.414 × ${rms} = ${formatNumber(peak, 1)} V.`,
+      keywords: ['V₀ = √2 × Vrms'],
+      value: peak,
+      unit: 'V',
+      display: formatNumber(peak, 1)
+    });
+  }
+  const peak = pickOne([2, 5, 10, 14.1]);
+  const rms = peak / Math.SQRT2;
+  return numerical(ctx, 'ac-rms', {
+    question: `An alternating current has a peak value of ${peak} A. Find its rms value.`,
+    answer: `Irms = I₀/√2 = ${peak}/1.414 = ${formatNumber(rms)} A.`,
+    keywords: ['Irms = I₀/√2'],
+    value: rms,
+    unit: 'A'
+  });
+}
+
+// Ray optics
+
+function lensCombination(ctx) {
+  const f1 = pickOne([10, 20, 25, 50]);
+  const f2 = pickOne([-20, -25, -50, -100, 20, 50, 100].filter(f => f !== -f1));
+  const p = 100 / f1 + 100 / f2;
+  return numerical(ctx, 'ray-power', {
+    question: `A convex lens of focal length ${f1} cm is placed in contact with a ${f2 > 0 ? 'convex' : 'concave'} lens of focal length ${Math.abs(f2)} cm. Find the power of the combination.`,
+    answer: `P₁ = 100/${f1} = ${formatNumber(100 / f1)} D, P₂ = 100/(${f2}) = ${formatNumber(100 / f2)} D. P = P₁ + P₂ = ${formatNumber(p)} D.`,
+    keywords: ['P = P₁ + P₂'],
+    value: p,
+    unit: 'D'
+  });
+}
+
+// Dual nature of radiation and matter
+
+function photoelectric(ctx) {
+  const lambda = pickOne([200, 248, 310, 400, 413, 496]);
+  const energy = HC_EV_NM / lambda;
+  if (Math.random() < 0.5) {
+    return numerical(ctx, 'dual-photon', {
+      question: `Find the energy, in eV, of a photon of wavelength ${lambda} nm. (hc = 1240 eV nm)`,
+      answer: `E = hc/λ = 1240/${lambda} = ${formatNumber(energy)} eV.`,
+      keywords: ['E = hc/λ'],
+      value: energy,
+      unit: 'eV'
+    });
+  }
+  const phi = pickOne([1.8, 2.1, 2.3, 2.5].filter(w => w < energy - 0.3)) ?? 2;
+  const k = energy - phi;
+  return numerical(ctx, 'dual-stopping', {
+    question: `Light of wavelength ${lambda} nm falls on a metal of work function ${phi} eV. Find the stopping potential. (hc = 1240 eV nm)`,
+    answer: `Photon energy hν = 1240/${lambda} = ${formatNumber(energy)} eV. Kmax = hν - φ₀ = ${formatNumber(k)} eV, so the stopping potential V₀ = Kmax/e = ${formatNumber(k)} V.`,
+    keywords: ['Kmax = hν - φ₀', 'stopping potential'],
+    value: k,
+    unit: 'V'
+  });
+}
+
+// Nuclei
+
+function halfLife(ctx) {
+  const t = pickOne([2, 5, 8, 10, 12]);
+  const n = randInt(1, 5);
+  const n0 = pickOne([64, 80, 160, 320, 640]);
+  const left = n0 / 2 ** n;
+  return numerical(ctx, 'nuc-half', {
+    question: `A radioactive sample has a half-life of ${t} days. Of ${n0} mg of it, how much remains after ${n * t} days?`,
+    answer: `${n * t} days = ${n} half-lives. N = N₀(½)ⁿ = ${n0} × (½)${n === 1 ? '' : superscript(n)} = ${formatNumber(left)} mg.`,
+    keywords: ['half-lives', 'N = N₀(½)ⁿ'],
+    value: left,
+    unit: 'mg'
+  });
+}
+
+// First match wins; `match` is a lower-case part of the chapter name.
+const CHAPTER_GENERATORS = [
+  { match: 'motion in a straight line', generators: [equationsOfMotion, verticalThrow] },
+  { match: 'motion in a plane', generators: [projectile, horizontalThrow] },
+  { match: 'laws of motion', generators: [liftWeight, connectedBodies, impulse] },
+  { match: 'work, energy and power', generators: [workAtAngle, springEnergy, pumpPower] },
+  { match: 'oscillations', generators: [periodOfOscillation] },
+  { match: 'electric charges and fields', generators: [coulombForce] },
+  { match: 'capacitance', generators: [capacitors] },
+  { match: 'current electricity', generators: [internalResistance, wheatstoneBridge, networkCurrent] },
+  { match: 'alternating current', generators: [rmsValue] },
+  { match: 'ray optics', generators: [lensCombination] },
+  { match: 'dual nature', generators: [photoelectric] },
+  { match: 'nuclei', generators: [halfLife] }
+];
+
+function generatePhysicsQuestion({ grade, chapter }) {
+  const ctx = { grade, chapter };
+  const name = String(chapter).toLowerCase();
+  const entry = CHAPTER_GENERATORS.find(e => name.includes(e.match));
+  if (entry) return pickOne(entry.generators)(ctx);
+
+  return liveQuestion({
+    ...ctx,
+    subject: 'Physics',
+    key: 'p',
+    tags: ['live'],
+    question: `State and explain a key law or principle from "${chapter}", with one example.`,
+    answer: `This is an open-ended practice prompt. State the law (with its formula, if any), explain each term, and give an example.`,
+    keywords: ['law', 'formula', 'example']
+  });
+}
+
+module.exports = { generatePhysicsQuestion };
@@ -0,0 +1,709 @@
+/*
+  Live Science numericals for Classes 9 and 10.
+
+  Like the maths generators, each template draws fresh values and returns a worked answer,
+  keywords, and a numericAnswer with its unit, so answers are checked automatically. Constants
+  follow NCERT: g = 9.8 m/s² (10 m/s² where the question says so), G = 6.7 × 10⁻¹¹ N m²/kg²,
+  c = 3 × 10⁸ m/s and the Avogadro constant 6.022 × 10²³.
+*/
+
+'use strict';
+
+const { QUESTION_TYPES } = require('../questions/types');
+const { randInt, pickOne, formatNumber, formatScientific, liveQuestion, liveNumerical } = require('./common');
+
+const G_EARTH = 9.8;
+const GRAVITATIONAL_CONSTANT = 6.7e-11;
+const SPEED_OF_LIGHT = 3e8;
+const AVOGADRO = 6.022e23;
+
+function scienceQuestion(ctx, key, fields) {
+  return liveQuestion({
+    grade: ctx.grade,
+    subject: 'Science',
+    chapter: ctx.chapter,
+    key: `s-${key}`,
+    type: QUESTION_TYPES.NUMERICAL,
+    tags: ['live', 'numerical'],
+    ...fields
+  });
+}
+
+function numerical(ctx, key, fields) {
+  return liveNumerical({ grade: ctx.grade, subject: 'Science', chapter: ctx.chapter, key: `s-${key}`, ...fields });
+}
+
+// Motion
+
+function bodySpeed(ctx) {
+  const d = randInt(200, 1200);
+  const t = randInt(20, 180);
+  const v = (d / t).toFixed(2);
+  return scienceQuestion(ctx, 'motion', {
+    question: `A body covers ${d} m in ${t} s. Find its speed in m/s.`,
+    answer: `Speed = distance/time = ${d}/${t} = ${v} m/s.`,
+    keywords: ['speed', 'distance/time', `${v} m/s`],
+    numericAnswer: d / t,
+    unit: 'm/s'
+  });
+}
+
+function acceleration(ctx) {
+  const t = randInt(2, 10);
+  const a = pickOne([-4, -3, -2, -1, 1, 2, 3, 4, 5]);
+  const u = a > 0 ? pickOne([0, 5, 10, 15]) : -a * t + pickOne([0, 5, 10]);
+  const v = u + a * t;
+  return numerical(ctx, 'motion-acc', {
+    question: `The velocity of a car ${a > 0 ? 'increases' : 'decreases'} uniformly from ${u} m/s to ${v} m/s in ${t} s. Find its acceleration.`,
+    answer: `a = (v - u)/t = (${v} - ${u})/${t} = ${a} m/s²${a < 0 ? ` (a retardation of ${-a} m/s²)` : ''}.`,
+    keywords: ['a = (v - u)/t'],
+    value: a,
+    unit: 'm/s²'
+  });
+}
+
+function distanceUnderAcceleration(ctx) {
+  const u = pickOne([0, 0, 2, 4, 5, 10]);
+  const a = pickOne([1, 2, 3, 4, 0.5]);
+  const t = randInt(2, 12);
+  const s = u * t + 0.5 * a * t * t;
+  return numerical(ctx, 'motion-s', {
+    question: `A scooter ${u ? `moving at ${u} m/s` : 'starting from rest'} accelerates uniformly at ${a} m/s² for ${t} s. How far does it travel in this time?`,
+    answer: `s = ut + ½at² = ${u} × ${t} + ½ × ${a} × ${t}² = ${formatNumber(s)} m.`,
+    keywords: ['s = ut + ½at²'],
+    value: s,
+    unit: 'm'
+  });
+}
+
+// Speeds that are whole numbers in both km/h and m/s.
+const ROAD_SPEEDS = [[36, 10], [54, 15], [72, 20], [90, 25], [108, 30]];
+
+function brakingDistance(ctx) {
+  const [kmh, u] = pickOne(ROAD_SPEEDS);
+  const a = pickOne([2, 2.5, 4, 5]);
+  const s = (u * u) / (2 * a);
+  return numerical(ctx, 'motion-brake', {
+    question: `A car moving at ${kmh} km/h is brought to rest by a uniform retardation of ${a} m/s². Find the distance it covers before stopping.`,
+    answer: `u = ${kmh} km/h = ${u} m/s, v = 0, a = -${a} m/s². From v² = u² + 2as: s = u²/(2a) = ${u * u}/(2 × ${a}) = ${formatNumber(s)} m.`,
+    keywords: ['v² = u² + 2as', `${u} m/s`],
+    value: s,
+    unit: 'm'
+  });
+}
+
+// Force and laws of motion
+
+function newtonsSecondLaw(ctx) {
+  const m = pickOne([2, 5, 8, 10, 20, 25, 40, 50, 800, 1000, 1200]);
+  const a = pickOne([0.5, 1.5, 2, 2.5, 3, 4]);
+  const f = m * a;
+  if (Math.random() < 0.5) {
+    return numerical(ctx, 'force-f', {
+      question: `What force is needed to give a body of mass ${m} kg an acceleration of ${a} m/s²?`,
+      answer: `By Newton's second law, F = ma = ${m} × ${a} = ${formatNumber(f)} N.`,
+      keywords: ["Newton's second law", 'F = ma'],
+      value: f,
+      unit: 'N'
+    });
+  }
+  return numerical(ctx, 'force-a', {
+    question: `A force of ${formatNumber(f)} N acts on a body of mass ${m} kg. Find the acceleration produced.`,
+    answer: `By Newton's second law, a = F/m = ${formatNumber(f)}/${m} = ${a} m/s².`,
+    keywords: ["Newton's second law", 'a = F/m'],
+    value: a,
+    unit: 'm/s²'
+  });
+}
+
+function momentum(ctx) {
+  if (Math.random() < 0.5) {
+    const grams = pickOne([10, 20, 25, 40, 50]);
+    const v = pickOne([200, 300, 400, 500, 800]);
+    const p = (grams / 1000) * v;
+    return numerical(ctx, 'force-p', {
+      question: `A bullet of mass ${grams} g moves with a velocity of ${v} m/s. Find its momentum.`,
+      answer: `m = ${grams} g = ${grams / 1000} kg. Momentum p = mv = ${grams / 1000} × ${v} = ${formatNumber(p)} kg m/s.`,
+      keywords: ['p = mv'],
+      value: p,
+      unit: 'kg m/s'
+    });
+  }
+  const m = pickOne([800, 1000, 1200, 1500]);
+  const [kmh, v] = pickOne(ROAD_SPEEDS);
+  const t = pickOne([2, 4, 5, 10]);
+  const force = (m * v) / t;
+  return numerical(ctx, 'force-dp', {
+    question: `A car of mass ${m} kg moving at ${kmh} km/h is stopped by its brakes in ${t} s. Find the magnitude of the braking force.`,
+    answer: `u = ${kmh} km/h = ${v} m/s, v = 0. Change in momentum = m(v - u) = ${m} × (0 - ${v}) = -${m * v} kg m/s. ` +
+      `F = m(v - u)/t = ${m * v}/${t} = ${formatNumber(force)} N (acting against the motion).`,
+    keywords: ['change in momentum', 'F = m(v - u)/t'],
+    value: force,
+    unit: 'N'
+  });
+}
+
+function recoilVelocity(ctx) {
+  const bulletGrams = pickOne([10, 20, 25, 50]);
+  const bulletSpeed = pickOne([100, 200, 250, 400, 500]);
+  const gunMass = pickOne([1, 2, 2.5, 4, 5]);
+  const recoil = ((bulletGrams / 1000) * bulletSpeed) / gunMass;
+  return numerical(ctx, 'force-recoil', {
+    question: `A bullet of mass ${bulletGrams} g is fired horizontally at ${bulletSpeed} m/s from a pistol of mass ${gunMass} kg. Find the recoil velocity of the pistol.`,
+    answer: `By conservation of momentum, the total momentum stays zero, as it was before firing. ${bulletGrams / 1000} × ${bulletSpeed} + ${gunMass} × v = 0 ⇒ ` +
+      `v = -${formatNumber(recoil)} m/s, i.e. a recoil of ${formatNumber(recoil)} m/s opposite to the bullet.`,
+    keywords: ['conservation of momentum', 'recoil'],
+    value: recoil,
+    unit: 'm/s'
+  });
+}
+
+// Gravitation
+
+function weight(ctx) {
+  const m = randInt(10, 90);
+  const w = m * G_EARTH;
+  if (Math.random() < 0.5) {
+    return numerical(ctx, 'grav-w', {
+      question: `Find the weight of an object of mass ${m} kg on the Earth. (g = 9.8 m/s²)`,
+      answer: `W = mg = ${m} × 9.8 = ${formatNumber(w)} N.`,
+      keywords: ['W = mg'],
+      value: w,
+      unit: 'N'
+    });
+  }
+  return numerical(ctx, 'grav-moon', {
+    question: `An object has a mass of ${m} kg. What is its weight on the Moon? (g = 9.8 m/s² on the Earth; weight on the Moon is 1/6 of that on the Earth)`,
+    answer: `Weight on the Earth W = mg = ${m} × 9.8 = ${formatNumber(w)} N. Weight on the Moon = ${formatNumber(w)}/6 = ${formatNumber(w / 6)} N. (The mass is still ${m} kg.)`,
+    keywords: ['W = mg', '/6'],
+    value: w / 6,
+    unit: 'N'
+  });
+}
+
+function gravitationalForce(ctx) {
+  const m1 = pickOne([50, 60, 70, 80, 100]);
+  const m2 = pickOne([40, 50, 60, 75, 1000]);
+  const r = pickOne([0.5, 1, 2, 5]);
+  const f = (GRAVITATIONAL_CONSTANT * m1 * m2) / (r * r);
+  return numerical(ctx, 'grav-f', {
+    question: `Find the gravitational force between two bodies of masses ${m1} kg and ${m2} kg placed ${r} m apart. (G = 6.7 × 10⁻¹¹ N m²/kg²)`,
+    answer: `By the universal law of gravitation, F = Gm₁m₂/r² = 6.7 × 10⁻¹¹ × ${m1} × ${m2}/${r}² = ${formatScientific(f, 3)} N.`,
+    keywords: ['universal law of gravitation', 'Gm₁m₂/r²'],
+    value: f,
+    unit: 'N',
+    display: formatScientific(f, 3)
+  });
+}
+
+function freeFall(ctx) {
+  const t = randInt(1, 5);
+  const h = 4.9 * t * t;
+  if (Math.random() < 0.5) {
+    return numerical(ctx, 'grav-fall-t', {
+      question: `A stone is dropped from a height of ${formatNumber(h)} m. How long does it take to reach the ground? (g = 9.8 m/s²)`,
+      answer: `u = 0, so h = ½gt² ⇒ t = √(2h/g) = √(2 × ${formatNumber(h)}/9.8) = √${t * t} = ${t} s.`,
+      keywords: ['h = ½gt²'],
+      value: t,
+      unit: 's'
+    });
+  }
+  return numerical(ctx, 'grav-fall-v', {
+    question: `A stone is dropped from a height of ${formatNumber(h)} m. With what speed does it hit the ground? (g = 9.8 m/s²)`,
+    answer: `u = 0, so v² = 2gh = 2 × 9.8 × ${formatNumber(h)} ⇒ v = ${formatNumber(9.8 * t)} m/s.`,
+    keywords: ['v² = 2gh'],
+    value: 9.8 * t,
+    unit: 'm/s'
+  });
+}
+
+function pressure(ctx) {
+  const m = pickOne([2, 4, 5, 8, 10, 20]);
+  const [l, b] = pickOne([[0.4, 0.2], [0.5, 0.25], [0.2, 0.1], [0.8, 0.5], [0.25, 0.2]]);
+  const area = l * b;
+  const thrust = m * 10;
+  const p = thrust / area;
+  return numerical(ctx, 'grav-p', {
+    question: `A block of mass ${m} kg rests on a table on a face measuring ${l} m × ${b} m. Find the pressure it exerts. (Take g = 10 m/s²)`,
+    answer: `Thrust = weight = mg = ${m} × 10 = ${thrust} N. Area = ${l} × ${b} = ${formatNumber(area, 3)} m². Pressure = thrust/area = ${thrust}/${formatNumber(area, 3)} = ${formatNumber(p)} Pa.`,
+    keywords: ['thrust', 'pressure = thrust/area'],
+    value: p,
+    unit: 'Pa'
+  });
+}
+
+function relativeDensity(ctx) {
+  const volume = pickOne([20, 25, 40, 50, 80, 100]);
+  const density = pickOne([0.5, 0.8, 0.9, 1.2, 2.5, 7.8]);
+  const mass = volume * density;
+  return numerical(ctx, 'grav-rd', {
+    question: `An object of mass ${formatNumber(mass)} g has a volume of ${volume} cm³. Find its relative density. Will it sink or float in water?`,
+    answer: `Density = mass/volume = ${formatNumber(mass)}/${volume} = ${density} g/cm³. Relative density = ${density}/1 = ${density} (water: 1 g/cm³), ` +
+      `so it will ${density > 1 ? 'sink' : 'float'}.`,
+    keywords: ['density = mass/volume', 'relative density', density > 1 ? 'sink' : 'float'],
+    value: density
+  });
+}
+
+// Work and energy
+
+function workDone(ctx) {
+  const f = pickOne([5, 10, 20, 25, 50, 140]);
+  const s = pickOne([2, 4, 5, 8, 10, 15]);
+  return numerical(ctx, 'work-w', {
+    question: `A force of ${f} N moves a box through ${s} m in the direction of the force. Find the work done.`,
+    answer: `W = F × s = ${f} × ${s} = ${f * s} J.`,
+    keywords: ['W = F × s'],
+    value: f * s,
+    unit: 'J'
+  });
+}
+
+function kineticEnergy(ctx) {
+  const m = pickOne([2, 5, 10, 15, 20, 40, 1000]);
+  const v = pickOne([2, 3, 4, 5, 6, 10]);
+  if (Math.random() < 0.5) {
+    const ke = 0.5 * m * v * v;
+    return numerical(ctx, 'work-ke', {
+      question: `Find the kinetic energy of an object of mass ${m} kg moving with a velocity of ${v} m/s.`,
+      answer: `Eₖ = ½mv² = ½ × ${m} × ${v}² = ${formatNumber(ke)} J.`,
+      keywords: ['Eₖ = ½mv²'],
+      value: ke,
+      unit: 'J'
+    });
+  }
+  const u = v;
+  const final = v * 2;
+  const work = 0.5 * m * (final * final - u * u);
+  return numerical(ctx, 'work-dke', {
+    question: `How much work is needed to increase the velocity of a ${m} kg object from ${u} m/s to ${final} m/s?`,
+    answer: `Work done = change in kinetic energy = ½m(v² - u²) = ½ × ${m} × (${final * final} - ${u * u}) = ${formatNumber(work)} J.`,
+    keywords: ['change in kinetic energy'],
+    value: work,
+    unit: 'J'
+  });
+}
+
+function potentialEnergy(ctx) {
+  const m = pickOne([1, 2, 5, 10, 12, 40, 50]);
+  const h = pickOne([2, 3, 5, 6, 10, 15]);
+  const pe = m * 10 * h;
+  if (Math.random() < 0.5) {
+    return numerical(ctx, 'work-pe', {
+      question: `Find the potential energy of an object of mass ${m} kg raised to a height of ${h} m. (Take g = 10 m/s²)`,
+      answer: `Eₚ = mgh = ${m} × 10 × ${h} = ${pe} J.`,
+      keywords: ['Eₚ = mgh'],
+      value: pe,
+      unit: 'J'
+    });
+  }
+  const t = pickOne([4, 5, 10, 20]);
+  const climber = pickOne([40, 50, 60]);
+  const work = climber * 10 * h;
+  return numerical(ctx, 'work-power', {
+    question: `A girl of mass ${climber} kg runs up a staircase ${h} m high in ${t} s. Find her power. (Take g = 10 m/s²)`,
+    answer: `Work done against gravity = mgh = ${climber} × 10 × ${h} = ${work} J. Power = work/time = ${work}/${t} = ${formatNumber(work / t)} W.`,
+    keywords: ['mgh', 'power = work/time'],
+    value: work / t,
+    unit: 'W'
+  });
+}
+
+function commercialEnergy(ctx) {
+  const [appliance, watts] = pickOne([['bulb', 60], ['bulb', 100], ['fan', 75], ['television', 120], ['heater', 1000], ['iron', 750], ['refrigerator', 400]]);
+  const hours = pickOne([2, 3, 4, 5, 6, 8, 10]);
+  const days = pickOne([7, 10, 30]);
+  const kwh = (watts * hours * days) / 1000;
+  return numerical(ctx, 'work-kwh', {
+    question: `A ${watts} W ${appliance} is used for ${hours} hours a day. How much electrical energy does it use in ${days} days, in kWh?`,
+    answer: `Energy = power × time = ${watts / 1000} kW × ${hours} h × ${days} = ${formatNumber(kwh)} kWh (${formatNumber(kwh)} units).`,
+    keywords: ['power × time', 'kW'],
+    value: kwh,
+    unit: 'kWh'
+  });
+}
+
+// Sound
+
+function waveEquation(ctx) {
+  const f = pickOne([170, 220, 256, 340, 440, 500, 680, 1000]);
+  const v = pickOne([330, 340, 344]);
+  const lambda = v / f;
+  if (Math.random() < 0.5) {
+    return numerical(ctx, 'sound-wl', {
+      question: `A sound wave of frequency ${f} Hz travels through air at ${v} m/s. Find its wavelength.`,
+      answer: `v = fλ ⇒ λ = v/f = ${v}/${f} = ${formatNumber(lambda, 3)} m.`,
+      keywords: ['v = fλ'],
+      value: lambda,
+      unit: 'm',
+      display: formatNumber(lambda, 3)
+    });
+  }
+  const t = 1 / f;
+  return numerical(ctx, 'sound-t', {
+    question: `What is the time period of a sound wave of frequency ${f} Hz?`,
+    answer: `T = 1/f = 1/${f} = ${formatScientific(t, 3)} s.`,
+    keywords: ['T = 1/f'],
+    value: t,
+    unit: 's',
+    display: formatScientific(t, 3)
+  });
+}
+
+function echo(ctx) {
+  if (Math.random() < 0.5) {
+    const v = pickOne([340, 344, 346]);
+    const t = pickOne([1, 1.5, 2, 3, 4]);
+    const d = (v * t) / 2;
+    return numerical(ctx, 'sound-echo', {
+      question: `A person claps near a cliff and hears the echo after ${t} s. If the speed of sound is ${v} m/s, how far away is the cliff?`,
+      answer: `The echo is sound that has travelled to the cliff and back: 2d = v × t ⇒ d = ${v} × ${t}/2 = ${formatNumber(d)} m.`,
+      keywords: ['echo', '2d = v × t'],
+      value: d,
+      unit: 'm'
+    });
+  }
+  const t = pickOne([0.8, 1, 1.2, 2, 3]);
+  const depth = (1500 * t) / 2;
+  return numerical(ctx, 'sound-sonar', {
+    question: `A ship sends an ultrasonic pulse to the sea bed and receives its echo ${t} s later. If sound travels at 1500 m/s in sea water, how deep is the sea?`,
+    answer: `The pulse goes down and back (SONAR): 2d = v × t ⇒ d = 1500 × ${t}/2 = ${formatNumber(depth)} m.`,
+    keywords: ['SONAR', '2d = v × t'],
+    value: depth,
+    unit: 'm'
+  });
+}
+
+// Atoms and molecules
+
+const ATOMIC_MASSES = { H: 1, C: 12, N: 14, O: 16, Na: 23, Mg: 24, S: 32, Cl: 35.5, K: 39, Ca: 40 };
+
+const COMPOUNDS = [
+  ['water', 'H₂O', { H: 2, O: 1 }],
+  ['carbon dioxide', 'CO₂', { C: 1, O: 2 }],
+  ['ammonia', 'NH₃', { N: 1, H: 3 }],
+  ['methane', 'CH₄', { C: 1, H: 4 }],
+  ['sodium chloride', 'NaCl', { Na: 1, Cl: 1 }],
+  ['calcium carbonate', 'CaCO₃', { Ca: 1, C: 1, O: 3 }],
+  ['sulphuric acid', 'H₂SO₄', { H: 2, S: 1, O: 4 }],
+  ['magnesium oxide', 'MgO', { Mg: 1, O: 1 }],
+  ['hydrogen chloride', 'HCl', { H: 1, Cl: 1 }],
+  ['sodium hydroxide', 'NaOH', { Na: 1, O: 1, H: 1 }],
+  ['ethanol', 'C₂H₅OH', { C: 2, H: 6, O: 1 }],
+  ['oxygen', 'O₂', { O: 2 }],
+  ['nitric acid', 'HNO₃', { H: 1, N: 1, O: 3 }]
+];
+
+function molarMass(atoms) {
+  return Object.entries(atoms).reduce((sum, [el, n]) => sum + ATOMIC_MASSES[el] * n, 0);
+}
+
+function molarMassWorking(atoms) {
+  const terms = Object.entries(atoms).map(([el, n]) => (n > 1 ? `${n} × ${ATOMIC_MASSES[el]}` : String(ATOMIC_MASSES[el])));
+  return `${terms.join(' + ')} = ${molarMass(atoms)}`;
+}
+
+function atomicMassList(atoms) {
+  return Object.keys(atoms).map(el => `${el} = ${ATOMIC_MASSES[el]} u`).join(', ');
+}
+
+function moleConcept(ctx) {
+  const [name, formula, atoms] = pickOne(COMPOUNDS);
+  const m = molarMass(atoms);
+  const kind = pickOne(['mass', 'moles', 'grams', 'particles']);
+
+  if (kind === 'mass') {
+    return numerical(ctx, 'mole-m', {
+      question: `Calculate the molecular mass of ${name} (${formula}). (${atomicMassList(atoms)})`,
+      answer: `Molecular mass of ${formula} = ${molarMassWorking(atoms)} u.`,
+      keywords: ['molecular mass'],
+      value: m,
+      unit: 'u'
+    });
+  }
+
+  const moles = pickOne([0.5, 1.5, 2, 2.5, 3, 4, 5]);
+  const grams = moles * m;
+  if (kind === 'moles') {
+    return numerical(ctx, 'mole-n', {
+      question: `How many moles are present in ${formatNumber(grams)} g of ${name} (${formula})? (${atomicMassList(atoms)})`,
+      answer: `Molar mass of ${formula} = ${molarMassWorking(atoms)} g/mol. Number of moles = mass/molar mass = ${formatNumber(grams)}/${m} = ${moles} mol.`,
+      keywords: ['molar mass', 'mass/molar mass'],
+      value: moles,
+      unit: 'mol'
+    });
+  }
+  if (kind === 'grams') {
+    return numerical(ctx, 'mole-g', {
+      question: `What is the mass of ${moles} moles of ${name} (${formula})? (${atomicMassList(atoms)})`,
+      answer: `Molar mass of ${formula} = ${molarMassWorking(atoms)} g/mol. Mass = number of moles × molar mass = ${moles} × ${m} = ${formatNumber(grams)} g.`,
+      keywords: ['molar mass', 'moles × molar mass'],
+      value: grams,
+      unit: 'g'
+    });
+  }
+  const molecules = moles * AVOGADRO;
+  return numerical(ctx, 'mole-na', {
+    question: `How many molecules are present in ${formatNumber(grams)} g of ${name} (${formula})? (${atomicMassList(atoms)}; Nₐ = 6.022 × 10²³ per mol)`,
+    answer: `Molar mass of ${formula} = ${molarMassWorking(atoms)} g/mol, so ${formatNumber(grams)} g is ${moles} mol. ` +
+      `Number of molecules = moles × Nₐ (the Avogadro constant) = ${moles} × 6.022 × 10²³ = ${formatScientific(molecules)}.`,
+    keywords: ['Avogadro', 'moles × Nₐ'],
+    value: molecules,
+    display: formatScientific(molecules)
+  });
+}
+
+// Light
+
+// Object distance U (> F) for a real image with a whole-number image distance: v = F + F²/d.
+function realImageObjectDistance(F) {
+  const d = pickOne([1, 2, 3, 4, 5, 6, 8, 10, 12, 15, 20, 25, 30].filter(n => (F * F) % n === 0 && n <= 2 * F && n >= F / 4));
+  return F + d;
+}
+
+function signed(n) {
+  return n > 0 ? `+${formatNumber(n)}` : formatNumber(n);
+}
+
+function imageNature(v, m, device) {
+  const real = device === 'mirror' ? v < 0 : v > 0;
+  const size = Math.abs(m) > 1 ? 'magnified' : Math.abs(m) < 1 ? 'diminished' : 'the same size';
+  return `${real ? 'real and inverted' : 'virtual and erect'}, ${size}`;
+}
+
+function sphericalMirror(ctx) {
+  const concave = Math.random() < 0.6;
+  let F;
+  let U;
+  if (concave) {
+    F = pickOne([10, 12, 15, 20]);
+    U = realImageObjectDistance(F);
+  } else {
+    const k = randInt(1, 4);
+    F = (k + 1) * randInt(3, 6);
+    U = k * F;
+  }
+  const f = concave ? -F : F;
+  const u = -U;
+  const v = (u * f) / (u - f);
+  const m = -v / u;
+  return numerical(ctx, 'light-mirror', {
+    question: `An object is placed ${U} cm in front of a ${concave ? 'concave' : 'convex'} mirror of focal length ${F} cm. Find the position of the image.`,
+    answer: `Using the New Cartesian sign convention, u = -${U} cm, f = ${signed(f)} cm. Mirror formula: 1/v + 1/u = 1/f ⇒ ` +
+      `1/v = 1/(${signed(f)}) - 1/(-${U}) ⇒ v = ${signed(v)} cm. The image is ${formatNumber(Math.abs(v))} cm ${v < 0 ? 'in front of' : 'behind'} the mirror; ` +
+      `m = -v/u = ${formatNumber(m)}, so it is ${imageNature(v, m, 'mirror')}.`,
+    keywords: ['mirror formula', '1/v + 1/u = 1/f', 'sign convention'],
+    value: v,
+    unit: 'cm',
+    display: signed(v)
+  });
+}
+
+function thinLens(ctx) {
+  const convex = Math.random() < 0.6;
+  let F;
+  let U;
+  if (convex) {
+    F = pickOne([10, 12, 15, 20]);
+    U = realImageObjectDistance(F);
+  } else {
+    const k = randInt(1, 4);
+    F = (k + 1) * randInt(3, 6);
+    U = k * F;
+  }
+  const f = convex ? F : -F;
+  const u = -U;
+  const v = (u * f) / (u + f);
+  const m = v / u;
+  const h = pickOne([2, 3, 4, 5]);
+  return numerical(ctx, 'light-lens', {
+    question: `A ${h} cm tall object is placed ${U} cm from a ${convex ? 'convex' : 'concave'} lens of focal length ${F} cm. Find the image distance.`,
+    answer: `Using the sign convention, u = -${U} cm, f = ${signed(f)} cm. Lens formula: 1/v - 1/u = 1/f ⇒ 1/v = 1/(${signed(f)}) + 1/(-${U}) ⇒ v = ${signed(v)} cm. ` +
+      `Magnification m = v/u = ${formatNumber(m)}, so the image is ${imageNature(v, m, 'lens')}, ${formatNumber(Math.abs(m * h))} cm tall, on the ${v > 0 ? 'other' : 'same'} side of the lens.`,
+    keywords: ['lens formula', '1/v - 1/u = 1/f', 'magnification'],
+    value: v,
+    unit: 'cm',
+    display: signed(v)
+  });
+}
+
+function lensPower(ctx) {
+  const f = pickOne([10, 20, 25, 40, 50, 100, -10, -20, -25, -50, -100]);
+  const power = 100 / f;
+  if (Math.random() < 0.5) {
+    return numerical(ctx, 'light-power', {
+      question: `Find the power of a ${f > 0 ? 'convex' : 'concave'} lens of focal length ${Math.abs(f)} cm.`,
+      answer: `f = ${signed(f)} cm = ${signed(f / 100)} m. P = 1/f (in metres) = 1/(${signed(f / 100)}) = ${signed(power)} D (dioptre).`,
+      keywords: ['P = 1/f', 'dioptre'],
+      value: power,
+      unit: 'D',
+      display: signed(power)
+    });
+  }
+  return numerical(ctx, 'light-focal', {
+    question: `The power of a lens is ${signed(power)} D. Find its focal length and say what kind of lens it is.`,
+    answer: `f = 1/P = 1/(${signed(power)}) m = ${signed(f / 100)} m = ${signed(f)} cm. The focal length is ${f > 0 ? 'positive, so it is a convex (converging)' : 'negative, so it is a concave (diverging)'} lens.`,
+    keywords: ['f = 1/P', f > 0 ? 'convex' : 'concave'],
+    value: f,
+    unit: 'cm',
+    display: signed(f)
+  });
+}
+
+const MEDIA = [['water', 1.33], ['glass', 1.5], ['diamond', 2.42], ['kerosene', 1.44], ['crown glass', 1.52]];
+
+function refractiveIndex(ctx) {
+  const [medium, n] = pickOne(MEDIA);
+  const v = SPEED_OF_LIGHT / n;
+  if (Math.random() < 0.5) {
+    return numerical(ctx, 'light-v', {
+      question: `The refractive index of ${medium} is ${n}. Find the speed of light in ${medium}. (c = 3 × 10⁸ m/s)`,
+      answer: `n = c/v ⇒ v = c/n = 3 × 10⁸/${n} = ${formatScientific(v, 3)} m/s.`,
+      keywords: ['n = c/v'],
+      value: v,
+      unit: 'm/s',
+      display: formatScientific(v, 3)
+    });
+  }
+  return numerical(ctx, 'light-n', {
+    question: `Light travels at ${formatScientific(v, 3)} m/s in ${medium}. Find the refractive index of ${medium}. (c = 3 × 10⁸ m/s)`,
+    answer: `Refractive index n = c/v = (3 × 10⁸)/(${formatScientific(v, 3)}) = ${n}.`,
+    keywords: ['n = c/v', 'refractive index'],
+    value: n
+  });
+}
+
+// Electricity
+
+function ohmsLaw(ctx) {
+  const v = randInt(6, 24);
+  const r = randInt(2, 12);
+  const i = (v / r).toFixed(2);
+  return scienceQuestion(ctx, 'elec', {
+    question: `A resistor of ${r} Ω is connected across a ${v} V battery. Find the current.`,
+    answer: `By Ohm's law: I = V/R = ${v}/${r} = ${i} A.`,
+    keywords: ['Ohm\'s law', 'I = V/R', `${i} A`],
+    numericAnswer: v / r,
+    unit: 'A'
+  });
+}
+
+// Resistor sets whose parallel combination is a whole number of ohms.
+const PARALLEL_SETS = [[3, 6], [4, 12], [6, 12], [10, 15], [12, 24], [6, 6], [20, 30], [2, 3, 6], [3, 6, 6], [4, 6, 12], [10, 10, 5]];
+
+function parallelResistance(set) {
+  return 1 / set.reduce((sum, r) => sum + 1 / r, 0);
+}
+
+function seriesCircuit(ctx) {
+  const resistors = Array.from({ length: randInt(2, 3) }, () => randInt(1, 12));
+  const total = resistors.reduce((sum, r) => sum + r, 0);
+  const v = pickOne([6, 9, 12, 18, 24]);
+  const i = v / total;
+  const list = resistors.map(r => `${r} Ω`).join(', ');
+  return numerical(ctx, 'elec-series', {
+    question: `Resistors of ${list} are connected in series to a ${v} V battery. Find the current in the circuit.`,
+    answer: `In series, R = ${resistors.join(' + ')} = ${total} Ω. I = V/R = ${v}/${total} = ${formatNumber(i)} A (the same through every resistor).`,
+    keywords: ['series', `R = ${resistors.join(' + ')}`, 'I = V/R'],
+    value: i,
+    unit: 'A'
+  });
+}
+
+function parallelCircuit(ctx) {
+  const set = pickOne(PARALLEL_SETS);
+  const r = parallelResistance(set);
+  const list = set.map(x => `${x} Ω`).join(', ');
+  const reciprocal = set.map(x => `1/${x}`).join(' + ');
+  if (Math.random() < 0.5) {
+    return numerical(ctx, 'elec-par', {
+      question: `Find the equivalent resistance of ${list} connected in parallel.`,
+      answer: `In parallel, 1/R = ${reciprocal} = 1/${formatNumber(r)} ⇒ R = ${formatNumber(r)} Ω.`,
+      keywords: ['parallel', `1/R = ${reciprocal}`],
+      value: r,
+      unit: 'Ω'
+    });
+  }
+  const v = pickOne([6, 12, 24]);
+  return numerical(ctx, 'elec-par-i', {
+    question: `Resistors of ${list} are connected in parallel across a ${v} V battery. Find the total current drawn from the battery.`,
+    answer: `In parallel, 1/R = ${reciprocal} ⇒ R = ${formatNumber(r)} Ω. I = V/R = ${v}/${formatNumber(r)} = ${formatNumber(v / r)} A.`,
+    keywords: ['parallel', `1/R = ${reciprocal}`, 'I = V/R'],
+    value: v / r,
+    unit: 'A'
+  });
+}
+
+function combinationCircuit(ctx) {
+  const [a, b] = pickOne(PARALLEL_SETS.filter(set => set.length === 2));
+  const series = randInt(1, 10);
+  const total = series + parallelResistance([a, b]);
+  const v = pickOne([6, 9, 12, 24]);
+  return numerical(ctx, 'elec-comb', {
+    question: `A ${series} Ω resistor is connected in series with a parallel combination of ${a} Ω and ${b} Ω, across a ${v} V battery. Find the current from the battery.`,
+    answer: `Parallel part: 1/R = 1/${a} + 1/${b} ⇒ R = ${formatNumber(parallelResistance([a, b]))} Ω. ` +
+      `In series, total R = ${series} + ${formatNumber(parallelResistance([a, b]))} = ${formatNumber(total)} Ω. I = V/R = ${v}/${formatNumber(total)} = ${formatNumber(v / total)} A.`,
+    keywords: ['parallel', 'series', 'I = V/R'],
+    value: v / total,
+    unit: 'A'
+  });
+}
+
+function electricPower(ctx) {
+  if (Math.random() < 0.5) {
+    const v = 220;
+    const watts = pickOne([40, 60, 100, 500, 1000, 1100, 2200]);
+    const r = (v * v) / watts;
+    return numerical(ctx, 'elec-r', {
+      question: `An electric appliance is rated ${watts} W, 220 V. Find its resistance when it is working.`,
+      answer: `P = V²/R ⇒ R = V²/P = 220²/${watts} = 48400/${watts} = ${formatNumber(r)} Ω.`,
+      keywords: ['P = V²/R'],
+      value: r,
+      unit: 'Ω'
+    });
+  }
+  const v = pickOne([12, 220]);
+  const i = pickOne([0.5, 2, 4, 5]);
+  const p = v * i;
+  const hours = pickOne([2, 4, 5, 10]);
+  const energy = (p * hours) / 1000;
+  return numerical(ctx, 'elec-p', {
+    question: `An appliance draws ${i} A from a ${v} V supply. How much energy does it use in ${hours} h, in kWh?`,
+    answer: `P = VI = ${v} × ${i} = ${formatNumber(p)} W = ${formatNumber(p / 1000, 3)} kW. Energy = P × t = ${formatNumber(p / 1000, 3)} × ${hours} = ${formatNumber(energy, 3)} kWh.`,
+    keywords: ['P = VI', 'kWh'],
+    value: energy,
+    unit: 'kWh',
+    display: formatNumber(energy, 3)
+  });
+}
+
+// First match wins; `match` is a lower-case part of the chapter name.
+const CHAPTER_GENERATORS = [
+  { match: 'force and laws of motion', generators: [newtonsSecondLaw, momentum, recoilVelocity] },
+  { match: 'motion', generators: [bodySpeed, acceleration, distanceUnderAcceleration, brakingDistance] },
+  { match: 'gravitation', generators: [weight, gravitationalForce, freeFall, pressure, relativeDensity] },
+  { match: 'work and energy', generators: [workDone, kineticEnergy, potentialEnergy, commercialEnergy] },
+  { match: 'sound', generators: [waveEquation, echo] },
+  { match: 'atoms and molecules', generators: [moleConcept] },
+  { match: 'reflection and refraction', generators: [sphericalMirror, thinLens, lensPower, refractiveIndex] },
+  { match: 'electricity', generators: [ohmsLaw, seriesCircuit, parallelCircuit, combinationCircuit, electricPower] }
+];
+
+function generateScienceQuestion({ grade, chapter }) {
+  const ctx = { grade, chapter };
+  const name = String(chapter).toLowerCase();
+  const entry = CHAPTER_GENERATORS.find(e => name.includes(e.match));
+  if (entry) return pickOne(entry.generators)(ctx);
+
+  return liveQuestion({
+    ...ctx,
+    subject: 'Science',
+    key: 's',
+    tags: ['live'],
+    question: `Write a concise explanation (5-7 lines) for a key concept from "${chapter}".`,
+    answer: `This is an open-ended practice prompt. Answer with a short, structured explanation (definition → key points → example).`,
+    keywords: ['definition', 'key points', 'example']
+  });
+}
+
+module.exports = { generateScienceQuestion };
@@ -0,0 +1,398 @@
+/*
+  Facts behind the live Social Science questions (Classes 9 and 10), as given in the NCERT
+  textbooks. Chapter names match questions/curriculum.js exactly.
+
+  - EVENTS: dated history and politics events, with the place where there is one.
+  - ARTICLES: constitutional provisions that questions can ask about by Article number.
+  - GROUPS: named sets (Fundamental Rights, the three lists, crop seasons, sectors, ...). Each
+    has members, and `outsiders` that look plausible but do not belong; the members of the
+    other groups of the same `family` are outsiders too.
+  - CROPS: growing conditions and soils of the major crops.
+*/
+
+'use strict';
+
+const EVENTS = [
+  // Class 9
+  { chapter: 'The French Revolution', event: 'the storming of the Bastille', year: 1789, place: 'Paris' },
+  { chapter: 'The French Revolution', event: 'France being declared a republic', year: 1792, place: 'Paris' },
+  { chapter: 'The French Revolution', event: 'the execution of Louis XVI', year: 1793, place: 'Paris' },
+  { chapter: 'The French Revolution', event: 'the Convention freeing the slaves in the French colonies', year: 1794 },
+  { chapter: 'The French Revolution', event: 'Napoleon Bonaparte crowning himself Emperor of France', year: 1804, place: 'Paris' },
+  { chapter: 'The French Revolution', event: 'the final abolition of slavery in the French colonies', year: 1848 },
+  { chapter: 'The French Revolution', event: 'women in France winning the right to vote', year: 1946 },
+
+  { chapter: 'Socialism in Europe and the Russian Revolution', event: 'Bloody Sunday', year: 1905 },
+  { chapter: 'Socialism in Europe and the Russian Revolution', event: 'Russia entering the First World War', year: 1914 },
+  { chapter: 'Socialism in Europe and the Russian Revolution', event: 'the February and October Revolutions', year: 1917, place: 'Petrograd' },
+  { chapter: 'Socialism in Europe and the Russian Revolution', event: 'the formation of the USSR', year: 1922 },
+  { chapter: 'Socialism in Europe and the Russian Revolution', event: 'the start of collectivisation of farms under Stalin', year: 1929 },
+
+  { chapter: 'Nazism and the Rise of Hitler', event: 'the signing of the Treaty of Versailles', year: 1919, place: 'Versailles' },
+  { chapter: 'Nazism and the Rise of Hitler', event: 'the Wall Street Exchange crash that began the Great Depression', year: 1929, place: 'New York' },
+  { chapter: 'Nazism and the Rise of Hitler', event: 'Hitler becoming Chancellor of Germany', year: 1933, place: 'Berlin' },
+  { chapter: 'Nazism and the Rise of Hitler', event: 'Germany invading Poland', year: 1939 },
+  { chapter: 'Nazism and the Rise of Hitler', event: 'Germany attacking the USSR', year: 1941 },
+  { chapter: 'Nazism and the Rise of Hitler', event: 'the atom bomb being dropped on Hiroshima', year: 1945 },
+
+  { chapter: 'Forest Society and Colonialism', event: 'the setting up of the Indian Forest Service', year: 1864 },
+  { chapter: 'Forest Society and Colonialism', event: 'the first Indian Forest Act', year: 1865 },
+  { chapter: 'Forest Society and Colonialism', event: 'the rebellion in Bastar', year: 1910 },
+
+  { chapter: 'Pastoralists in the Modern World', event: 'the Criminal Tribes Act', year: 1871 },
+  { chapter: 'Pastoralists in the Modern World', event: 'the division of Maasailand by an international boundary', year: 1885 },
+
+  { chapter: 'What is Democracy? Why Democracy?', event: 'Zimbabwe attaining independence from white minority rule', year: 1980, place: 'Zimbabwe' },
+  { chapter: 'What is Democracy? Why Democracy?', event: 'General Pervez Musharraf leading a military coup', year: 1999, place: 'Pakistan' },
+  { chapter: 'What is Democracy? Why Democracy?', event: 'the PRI losing a presidential election for the first time since 1930', year: 2000, place: 'Mexico' },
+
+  { chapter: 'Constitutional Design', event: 'the first democratic elections in South Africa', year: 1994 },
+  { chapter: 'Constitutional Design', event: 'the first meeting of the Constituent Assembly', year: 1946, place: 'New Delhi' },
+  { chapter: 'Constitutional Design', event: 'the adoption of the Constitution of India by the Constituent Assembly', year: 1949, place: 'New Delhi' },
+  { chapter: 'Constitutional Design', event: 'the Constitution of India coming into force', year: 1950, place: 'New Delhi' },
+
+  { chapter: 'Electoral Politics', event: "Chaudhary Devi Lal's Lok Dal sweeping the Assembly election", year: 1987, place: 'Haryana' },
+
+  { chapter: 'Working of Institutions', event: 'the appointment of the Second Backward Classes Commission headed by B.P. Mandal', year: 1979 },
+  { chapter: 'Working of Institutions', event: 'the Mandal Commission submitting its report', year: 1980 },
+  { chapter: 'Working of Institutions', event: 'the Office Memorandum reserving 27 per cent of central government jobs for SEBC', year: 1990 },
+  { chapter: 'Working of Institutions', event: 'the Supreme Court upholding the Office Memorandum in the Indira Sawhney case', year: 1992 },
+
+  { chapter: 'Poverty as a Challenge', event: 'the start of the Prime Minister Rozgar Yojana', year: 1993 },
+  { chapter: 'Poverty as a Challenge', event: 'the launch of the Rural Employment Generation Programme', year: 1995 },
+  { chapter: 'Poverty as a Challenge', event: 'the launch of the Swarnajayanti Gram Swarozgar Yojana', year: 1999 },
+  { chapter: 'Poverty as a Challenge', event: 'the launch of the Pradhan Mantri Gramodaya Yojana', year: 2000 },
+  { chapter: 'Poverty as a Challenge', event: 'the passing of the National Rural Employment Guarantee Act', year: 2005 },
+
+  { chapter: 'Food Security in India', event: 'the Bengal famine', year: 1943 },
+  { chapter: 'Food Security in India', event: 'the launch of the Antyodaya Anna Yojana', year: 2000 },
+  { chapter: 'Food Security in India', event: 'the National Food Security Act', year: 2013 },
+
+  // Class 10
+  { chapter: 'The Rise of Nationalism in Europe', event: 'the Act of Union forming the United Kingdom of Great Britain', year: 1707 },
+  { chapter: 'The Rise of Nationalism in Europe', event: 'the Napoleonic Civil Code', year: 1804 },
+  { chapter: 'The Rise of Nationalism in Europe', event: 'the Treaty of Vienna', year: 1815, place: 'Vienna' },
+  { chapter: 'The Rise of Nationalism in Europe', event: 'Giuseppe Mazzini founding Young Italy', year: 1831, place: 'Marseilles' },
+  { chapter: 'The Rise of Nationalism in Europe', event: 'the Treaty of Constantinople recognising Greece as independent', year: 1832, place: 'Constantinople' },
+  { chapter: 'The Rise of Nationalism in Europe', event: 'the meeting of the Frankfurt parliament', year: 1848, place: 'Frankfurt' },
+  { chapter: 'The Rise of Nationalism in Europe', event: 'Victor Emmanuel II being proclaimed king of united Italy', year: 1861 },
+  { chapter: 'The Rise of Nationalism in Europe', event: 'William I being proclaimed German Emperor', year: 1871, place: 'Versailles' },
+
+  { chapter: 'Nationalism in India', event: 'the Champaran satyagraha', year: 1917 },
+  { chapter: 'Nationalism in India', event: 'the satyagraha of the cotton mill workers of Ahmedabad', year: 1918 },
+  { chapter: 'Nationalism in India', event: 'the Jallianwala Bagh massacre', year: 1919, place: 'Amritsar' },
+  { chapter: 'Nationalism in India', event: 'the start of the Non-Cooperation-Khilafat Movement', year: 1921 },
+  { chapter: 'Nationalism in India', event: 'the Chauri Chaura incident', year: 1922 },
+  { chapter: 'Nationalism in India', event: 'the arrival of the Simon Commission', year: 1928 },
+  { chapter: 'Nationalism in India', event: 'the Congress demand for Purna Swaraj', year: 1929, place: 'Lahore' },
+  { chapter: 'Nationalism in India', event: 'the Salt March', year: 1930, place: 'Dandi' },
+  { chapter: 'Nationalism in India', event: 'the Gandhi-Irwin Pact', year: 1931 },
+  { chapter: 'Nationalism in India', event: 'the Poona Pact', year: 1932, place: 'Poona' },
+
+  { chapter: 'The Making of a Global World', event: 'the opening of the Suez Canal', year: 1869 },
+  { chapter: 'The Making of a Global World', event: 'the Wall Street Exchange crash', year: 1929, place: 'New York' },
+  { chapter: 'The Making of a Global World', event: 'the Bretton Woods conference', year: 1944, place: 'Bretton Woods' },
+
+  { chapter: 'The Age of Industrialisation', event: 'James Hargreaves inventing the spinning jenny', year: 1764 },
+  { chapter: 'The Age of Industrialisation', event: 'the first cotton mill in Bombay', year: 1854 },
+  { chapter: 'The Age of Industrialisation', event: 'the first jute mill in Bengal', year: 1855 },
+
+  { chapter: 'Print Culture and the Modern World', event: 'Gutenberg perfecting his printing press', year: 1448, place: 'Mainz' },
+  { chapter: 'Print Culture and the Modern World', event: 'Martin Luther writing his Ninety Five Theses', year: 1517, place: 'Wittenberg' },
+  { chapter: 'Print Culture and the Modern World', event: 'James Augustus Hickey starting the Bengal Gazette', year: 1780, place: 'Calcutta' },
+  { chapter: 'Print Culture and the Modern World', event: 'the Vernacular Press Act', year: 1878 },
+
+  { chapter: 'Resources and Development', event: 'the Club of Rome advocating resource conservation', year: 1968 },
+  { chapter: 'Resources and Development', event: 'Schumacher publishing Small is Beautiful', year: 1974 },
+  { chapter: 'Resources and Development', event: 'the Brundtland Commission Report introducing sustainable development', year: 1987 },
+  { chapter: 'Resources and Development', event: 'the Earth Summit adopting Agenda 21', year: 1992, place: 'Rio de Janeiro' },
+
+  { chapter: 'Forest and Wildlife Resources', event: 'the Indian Wildlife (Protection) Act', year: 1972 },
+  { chapter: 'Forest and Wildlife Resources', event: 'the launch of Project Tiger', year: 1973 },
+  { chapter: 'Forest and Wildlife Resources', event: 'the first resolution for Joint Forest Management', year: 1988, place: 'Odisha' },
+
+  { chapter: 'Manufacturing Industries', event: 'the first successful textile mill', year: 1854, place: 'Mumbai' },
+  { chapter: 'Manufacturing Industries', event: 'the first jute mill', year: 1855, place: 'Rishra' },
+
+  { chapter: 'Lifelines of National Economy', event: 'the first train in India, from Mumbai to Thane', year: 1853 },
+  { chapter: 'Lifelines of National Economy', event: 'the nationalisation of air transport', year: 1953 },
+
+  { chapter: 'Power Sharing', event: 'Sri Lanka becoming independent', year: 1948 },
+  { chapter: 'Power Sharing', event: 'the Act making Sinhala the only official language of Sri Lanka', year: 1956 },
+
+  { chapter: 'Federalism', event: 'the Constitution amendment making local government the third tier of democracy', year: 1992 },
+
+  { chapter: 'Globalisation and the Indian Economy', event: 'India removing many barriers on foreign trade and investment', year: 1991 },
+  { chapter: 'Globalisation and the Indian Economy', event: 'the setting up of the World Trade Organisation', year: 1995 },
+
+  { chapter: 'Consumer Rights', event: 'the Consumer Protection Act (COPRA)', year: 1986 },
+  { chapter: 'Consumer Rights', event: 'the Right to Information Act', year: 2005 }
+];
+
+const ARTICLES = [
+  { article: 14, provision: 'guarantees equality before the law', chapters: ['Democratic Rights'] },
+  { article: 15, provision: 'forbids discrimination on grounds of religion, caste, sex or place of birth', chapters: ['Democratic Rights'] },
+  { article: 17, provision: 'abolishes untouchability', chapters: ['Democratic Rights', 'Constitutional Design'] },
+  { article: 19, provision: 'gives the six freedoms, such as freedom of speech and expression', chapters: ['Democratic Rights'] },
+  { article: 21, provision: 'protects the right to life and personal liberty', chapters: ['Democratic Rights'] },
+  { article: 23, provision: 'prohibits traffic in human beings and forced labour', chapters: ['Democratic Rights'] },
+  { article: 24, provision: 'prohibits employing children below 14 in factories and mines', chapters: ['Democratic Rights'] },
+  { article: 32, provision: 'gives the right to move the courts to enforce Fundamental Rights', chapters: ['Democratic Rights'] }
+];
+
+const GROUPS = [
+  // Class 9
+  {
+    name: 'land-neighbours',
+    label: 'a country that shares a land boundary with India',
+    area: 'geography',
+    chapters: ['India - Size and Location'],
+    members: ['Pakistan', 'Afghanistan', 'China', 'Nepal', 'Bhutan', 'Myanmar', 'Bangladesh'],
+    outsiders: ['Sri Lanka', 'Maldives', 'Iran', 'Thailand']
+  },
+  {
+    name: 'tropic-of-cancer',
+    label: 'a state that the Tropic of Cancer passes through',
+    area: 'geography',
+    chapters: ['India - Size and Location'],
+    members: ['Gujarat', 'Rajasthan', 'Madhya Pradesh', 'Chhattisgarh', 'Jharkhand', 'West Bengal', 'Tripura', 'Mizoram'],
+    outsiders: ['Uttar Pradesh', 'Bihar', 'Odisha', 'Maharashtra', 'Assam']
+  },
+  {
+    name: 'himalayan-ranges',
+    label: 'one of the three parallel ranges of the Himalayas',
+    area: 'geography',
+    chapters: ['Physical Features of India'],
+    members: ['Great Himalayas (Himadri)', 'Lesser Himalayas (Himachal)', 'Shiwaliks'],
+    outsiders: ['Aravali', 'Vindhya', 'Satpura', 'Western Ghats']
+  },
+  {
+    name: 'physiographic-divisions',
+    label: 'one of the six major physiographic divisions of India',
+    area: 'geography',
+    chapters: ['Physical Features of India'],
+    members: ['The Himalayan Mountains', 'The Northern Plains', 'The Peninsular Plateau', 'The Indian Desert', 'The Coastal Plains', 'The Islands'],
+    outsiders: ['The Central Highlands', 'The Deccan Plateau', 'The Western Ghats']
+  },
+  { name: 'himalayan-rivers', family: 'rivers', label: 'a Himalayan river', area: 'geography', chapters: ['Drainage'], members: ['Indus', 'Ganga', 'Brahmaputra', 'Yamuna', 'Sutlej'] },
+  { name: 'peninsular-rivers', family: 'rivers', label: 'a Peninsular river', area: 'geography', chapters: ['Drainage'], members: ['Godavari', 'Krishna', 'Kaveri', 'Mahanadi', 'Narmada', 'Tapi'] },
+  {
+    name: 'climate-controls',
+    label: 'a factor that controls the climate of a place',
+    area: 'geography',
+    chapters: ['Climate'],
+    members: ['Latitude', 'Altitude', 'Pressure and wind system', 'Distance from the sea', 'Ocean currents', 'Relief features'],
+    outsiders: ['Population density', 'Literacy rate', 'Soil fertility']
+  },
+  {
+    name: 'hot-weather-winds',
+    label: 'a local wind or shower of the hot weather season',
+    area: 'geography',
+    chapters: ['Climate'],
+    members: ['Loo', 'Kaal Baisakhi', 'Mango showers'],
+    outsiders: ['Western disturbances', 'October heat', 'North-east monsoon']
+  },
+  { name: 'evergreen-trees', family: 'vegetation', label: 'a tree of the tropical evergreen forests', area: 'geography', chapters: ['Natural Vegetation and Wildlife'], members: ['Ebony', 'Mahogany', 'Rosewood', 'Rubber', 'Cinchona'] },
+  { name: 'deciduous-trees', family: 'vegetation', label: 'a tree of the tropical deciduous forests', area: 'geography', chapters: ['Natural Vegetation and Wildlife'], members: ['Teak', 'Sal', 'Shisham', 'Sandalwood', 'Khair', 'Arjun'] },
+  { name: 'thorn-plants', family: 'vegetation', label: 'a plant of the thorn forests and scrubs', area: 'geography', chapters: ['Natural Vegetation and Wildlife'], members: ['Acacias', 'Euphorbias', 'Cacti'] },
+  { name: 'mangrove-trees', family: 'vegetation', label: 'a tree of the mangrove forests', area: 'geography', chapters: ['Natural Vegetation and Wildlife'], members: ['Sundari', 'Keora', 'Agar', 'Coconut'] },
+  {
+    name: 'population-change',
+    label: 'one of the three processes that change the size of a population',
+    area: 'geography',
+    chapters: ['Population'],
+    members: ['Birth rate', 'Death rate', 'Migration'],
+    outsiders: ['Sex ratio', 'Literacy rate', 'Population density', 'Occupational structure']
+  },
+  {
+    name: 'democracy-features',
+    label: 'a feature of democracy',
+    area: 'civics',
+    chapters: ['What is Democracy? Why Democracy?'],
+    members: [
+      'Rulers elected by the people take all major decisions',
+      'Elections offer a free and fair choice to the people',
+      'Each adult citizen has one vote of equal value',
+      'The government rules within limits set by the constitution and citizens\' rights'
+    ],
+    outsiders: [
+      'The army chief can remove the elected government',
+      'A single party always wins without real opposition',
+      'Some citizens\' votes count for more than others'
+    ]
+  },
+  {
+    name: 'election-steps',
+    label: 'a step in holding elections in India',
+    area: 'civics',
+    chapters: ['Electoral Politics'],
+    members: ['Dividing the country into constituencies', 'Preparing the voters\' list', 'Nomination of candidates', 'Election campaign', 'Polling and counting of votes'],
+    outsiders: ['Passing the budget', 'Appointing the Prime Minister', 'Question Hour']
+  },
+  {
+    name: 'organs-of-government',
+    label: 'one of the three organs of government',
+    area: 'civics',
+    chapters: ['Working of Institutions'],
+    members: ['Legislature', 'Executive', 'Judiciary'],
+    outsiders: ['Election Commission', 'Reserve Bank of India', 'Union Public Service Commission']
+  },
+  { name: 'market-activities', family: 'activities', label: 'a market activity', area: 'economics', chapters: ['People as Resource'], members: ['Selling vegetables at the mandi', 'Teaching in a school for a salary', 'Working in a factory for wages'] },
+  {
+    name: 'non-market-activities',
+    family: 'activities',
+    label: 'a non-market activity',
+    area: 'economics',
+    chapters: ['People as Resource'],
+    members: ['Cooking meals for one\'s own family', 'Growing grain only for the family\'s own use', 'Processing food for the household\'s own consumption']
+  },
+  {
+    name: 'human-capital',
+    label: 'an investment in human capital',
+    area: 'economics',
+    chapters: ['People as Resource'],
+    members: ['Education', 'Training', 'Medical care'],
+    outsiders: ['Buying machinery', 'Building a factory shed', 'Buying farm land']
+  },
+  {
+    name: 'anti-poverty',
+    label: 'an anti-poverty programme of the Government of India',
+    area: 'economics',
+    chapters: ['Poverty as a Challenge'],
+    members: ['MGNREGA', 'Prime Minister Rozgar Yojana', 'Rural Employment Generation Programme', 'Swarnajayanti Gram Swarozgar Yojana', 'Pradhan Mantri Gramodaya Yojana'],
+    outsiders: ['Green Revolution', 'Consumer Protection Act', 'Project Tiger']
+  },
+
+  {
+    name: 'fundamental-rights',
+    label: 'a Fundamental Right in the Indian Constitution',
+    area: 'civics',
+    chapters: ['Democratic Rights', 'Constitutional Design'],
+    members: ['Right to Equality', 'Right to Freedom', 'Right against Exploitation', 'Right to Freedom of Religion', 'Cultural and Educational Rights', 'Right to Constitutional Remedies'],
+    outsiders: ['Right to Property', 'Right to work', 'Right to vote']
+  },
+  {
+    name: 'preamble',
+    label: 'a word used in the Preamble to describe India',
+    area: 'civics',
+    chapters: ['Constitutional Design'],
+    members: ['Sovereign', 'Socialist', 'Secular', 'Democratic', 'Republic'],
+    outsiders: ['Federal', 'Parliamentary', 'Presidential']
+  },
+  // Class 10
+  { name: 'union-list', family: 'lists', label: 'a subject in the Union List', area: 'civics', chapters: ['Federalism'], members: ['Defence', 'Foreign affairs', 'Banking', 'Communications', 'Currency'] },
+  { name: 'state-list', family: 'lists', label: 'a subject in the State List', area: 'civics', chapters: ['Federalism'], members: ['Police', 'Trade and commerce within the state', 'Agriculture', 'Irrigation'] },
+  { name: 'concurrent-list', family: 'lists', label: 'a subject in the Concurrent List', area: 'civics', chapters: ['Federalism'], members: ['Education', 'Forest', 'Trade unions', 'Marriage', 'Adoption', 'Succession'] },
+
+  { name: 'rabi', family: 'seasons', label: 'a rabi crop', area: 'geography', chapters: ['Agriculture'], members: ['Wheat', 'Barley', 'Peas', 'Gram', 'Mustard'] },
+  { name: 'kharif', family: 'seasons', label: 'a kharif crop', area: 'geography', chapters: ['Agriculture'], members: ['Paddy', 'Maize', 'Jowar', 'Bajra', 'Arhar', 'Moong', 'Urad', 'Cotton', 'Jute', 'Groundnut', 'Soyabean'] },
+  { name: 'zaid', family: 'seasons', label: 'a zaid crop', area: 'geography', chapters: ['Agriculture'], members: ['Watermelon', 'Muskmelon', 'Cucumber'] },
+
+  { name: 'primary', family: 'sectors', label: 'an activity of the primary sector', area: 'economics', chapters: ['Sectors of the Indian Economy'], members: ['Farming', 'Fishing', 'Dairy farming', 'Forestry', 'Mining'] },
+  { name: 'secondary', family: 'sectors', label: 'an activity of the secondary sector', area: 'economics', chapters: ['Sectors of the Indian Economy'], members: ['Making sugar from sugarcane', 'Weaving cloth in a mill', 'Brick making', 'Building construction', 'Making steel in a factory'] },
+  { name: 'tertiary', family: 'sectors', label: 'an activity of the tertiary (service) sector', area: 'economics', chapters: ['Sectors of the Indian Economy'], members: ['Banking', 'Transport', 'Teaching', 'Running a call centre', 'Courier service', 'Retail trade'] },
+
+  { name: 'formal-credit', family: 'credit', label: 'a formal source of credit', area: 'economics', chapters: ['Money and Credit'], members: ['Commercial banks', 'Cooperative societies'] },
+  { name: 'informal-credit', family: 'credit', label: 'an informal source of credit', area: 'economics', chapters: ['Money and Credit'], members: ['Moneylenders', 'Traders', 'Landlords', 'Relatives and friends'] },
+
+  {
+    name: 'factors-of-production',
+    label: 'a factor of production',
+    area: 'economics',
+    chapters: ['The Story of Village Palampur'],
+    members: ['Land', 'Labour', 'Physical capital', 'Human capital'],
+    outsiders: ['Multiple cropping', 'Minimum support price', 'Green Revolution']
+  },
+
+  { name: 'biotic', family: 'origin', label: 'a biotic resource', area: 'geography', chapters: ['Resources and Development'], members: ['Flora and fauna', 'Fisheries', 'Livestock', 'Human beings'] },
+  { name: 'abiotic', family: 'origin', label: 'an abiotic resource', area: 'geography', chapters: ['Resources and Development'], members: ['Rocks', 'Metals', 'Air', 'Minerals'] },
+  {
+    name: 'community-conservation',
+    label: 'a community effort to conserve forests, seeds or wildlife',
+    area: 'geography',
+    chapters: ['Forest and Wildlife Resources'],
+    members: ['Chipko movement', 'Beej Bachao Andolan', 'Navdanya', 'Bhairodev Dakav Sonchuri'],
+    outsiders: ['Project Tiger', 'Indian Wildlife (Protection) Act', 'Reserved forests']
+  },
+  { name: 'multipurpose-projects', family: 'water', label: 'a multi-purpose river valley project', area: 'geography', chapters: ['Water Resources'], members: ['Bhakra Nangal', 'Hirakud', 'Sardar Sarovar', 'Nagarjuna Sagar', 'Tehri'] },
+  { name: 'traditional-harvesting', family: 'water', label: 'a traditional method of rainwater harvesting', area: 'geography', chapters: ['Water Resources'], members: ['Guls and kuls', 'Khadins and johads', 'Tankas', 'Rooftop rainwater harvesting', 'Bamboo drip irrigation'] },
+  { name: 'agro-based', family: 'industries', label: 'an agro-based industry', area: 'geography', chapters: ['Manufacturing Industries'], members: ['Cotton textiles', 'Jute textiles', 'Sugar', 'Silk', 'Woollen textiles', 'Vegetable oil'] },
+  { name: 'mineral-based', family: 'industries', label: 'a mineral-based industry', area: 'geography', chapters: ['Manufacturing Industries'], members: ['Iron and steel', 'Cement', 'Aluminium smelting', 'Petrochemicals'] },
+  {
+    name: 'sea-ports',
+    label: 'a major sea port of India',
+    area: 'geography',
+    chapters: ['Lifelines of National Economy'],
+    members: ['Kandla', 'Mumbai', 'Marmagao', 'New Mangalore', 'Kochchi', 'Tuticorin', 'Chennai', 'Visakhapatnam', 'Paradip', 'Haldia'],
+    outsiders: ['Nagpur', 'Bhopal', 'Lucknow', 'Jaipur']
+  },
+  {
+    name: 'golden-quadrilateral',
+    label: 'a city linked by the Golden Quadrilateral',
+    area: 'geography',
+    chapters: ['Lifelines of National Economy'],
+    members: ['Delhi', 'Kolkata', 'Chennai', 'Mumbai'],
+    outsiders: ['Srinagar', 'Kanyakumari', 'Silchar', 'Porbandar']
+  },
+  {
+    name: 'secular-state',
+    label: 'a provision that makes India a secular state',
+    area: 'civics',
+    chapters: ['Gender, Religion and Caste'],
+    members: [
+      'There is no official religion for the Indian state',
+      'Freedom to profess, practise and propagate any religion',
+      'Discrimination on grounds of religion is prohibited',
+      'The state may intervene in religion to ensure equality'
+    ],
+    outsiders: ['A state religion for the whole country', 'Separate electorates for each religion', 'Compulsory religious teaching in government schools']
+  },
+  {
+    name: 'party-functions',
+    label: 'a function of political parties',
+    area: 'civics',
+    chapters: ['Political Parties'],
+    members: ['Contesting elections', 'Putting forward policies and programmes', 'Making laws in the legislature', 'Forming and running governments', 'Playing the role of opposition', 'Shaping public opinion'],
+    outsiders: ['Conducting elections', 'Appointing judges', 'Preparing the voters\' list']
+  },
+  {
+    name: 'democracy-outcomes',
+    label: 'an outcome expected from democracy',
+    area: 'civics',
+    chapters: ['Outcomes of Democracy'],
+    members: ['Accountable, responsive and legitimate government', 'Economic growth and development', 'Reduction of inequality and poverty', 'Accommodation of social diversity', 'Dignity and freedom of the citizens'],
+    outsiders: ['Decisions taken without any deliberation', 'Rule by one party without elections', 'Government free from public scrutiny']
+  },
+  {
+    name: 'democracy-challenges',
+    label: 'one of the three broad challenges to democracy',
+    area: 'civics',
+    chapters: ['Challenges to Democracy'],
+    members: ['Foundational challenge', 'Challenge of expansion', 'Challenge of deepening of democracy'],
+    outsiders: ['Challenge of globalisation', 'Challenge of privatisation', 'Challenge of urbanisation']
+  },
+  {
+    name: 'hdi',
+    label: 'an indicator used in the Human Development Index',
+    area: 'economics',
+    chapters: ['Development'],
+    members: ['Life expectancy at birth', 'Years of schooling', 'Per capita income'],
+    outsiders: ['Size of the army', 'Number of industries', 'Area of the country']
+  },
+  { name: 'renewable', family: 'energy', label: 'a renewable (non-conventional) source of energy', area: 'geography', chapters: ['Minerals and Energy Resources'], members: ['Solar energy', 'Wind power', 'Tidal energy', 'Geothermal energy', 'Biogas'] },
+  { name: 'non-renewable', family: 'energy', label: 'a non-renewable (conventional) source of energy', area: 'geography', chapters: ['Minerals and Energy Resources'], members: ['Coal', 'Petroleum', 'Natural gas'] }
+];
+
+// A crop has `climate`, `soil` or both; only conditions that tell the crops apart are listed.
+const CROPS = [
+  { crop: 'Rice', climate: 'high temperature (above 25°C), high humidity and annual rainfall above 100 cm' },
+  { crop: 'Wheat', climate: 'a cool growing season, bright sunshine at ripening and 50 to 75 cm of rainfall spread over the growing season' },
+  { crop: 'Sugarcane', climate: 'hot and humid weather (21°C to 27°C) and 75 to 100 cm of rainfall' },
+  { crop: 'Tea', climate: 'a warm, moist, frost-free climate with frequent showers all through the year', soil: 'Deep, fertile, well-drained soil rich in humus' },
+  { crop: 'Cotton', climate: 'high temperature, light rainfall or irrigation, 210 frost-free days and bright sunshine', soil: 'Black soil of the Deccan plateau' },
+  { crop: 'Maize', soil: 'Old alluvial soil' },
+  { crop: 'Jute', soil: 'Well-drained fertile soil of flood plains, renewed every year' },
+  { crop: 'Bajra', soil: 'Sandy soil' }
+];
+
+module.exports = { EVENTS, ARTICLES, GROUPS, CROPS };
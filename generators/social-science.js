@@ -0,0 +1,251 @@
+/*
+  Live Social Science questions for Classes 9 and 10, drawn from the fact tables in
+  social-science-facts.js: dates and places of events, date matching and chronology,
+  constitutional Articles, "which of these is (NOT) ..." sets, and crop conditions.
+
+  Distractors always come from the same kind of fact (other years of the chapter, other
+  Articles, members of a sibling list), so every option is plausible and exactly one is right.
+  Chapters with no facts get an open-ended prompt.
+*/
+
+'use strict';
+
+const { QUESTION_TYPES } = require('../questions/types');
+const { shuffleArray, randInt, pickOne, pickSome, mcqOptions, liveQuestion } = require('./common');
+const { EVENTS, ARTICLES, GROUPS, CROPS } = require('./social-science-facts');
+
+const CROP_CHAPTERS = ['Agriculture'];
+const ROMAN = ['i', 'ii', 'iii', 'iv'];
+
+function socialQuestion(ctx, key, area, fields) {
+  return liveQuestion({
+    grade: ctx.grade,
+    subject: 'Social Science',
+    chapter: ctx.chapter,
+    key: `ss-${key}`,
+    type: QUESTION_TYPES.MCQ,
+    tags: ['live', area],
+    ...fields
+  });
+}
+
+function sameChapter(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function capitalise(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function eventSummary(e) {
+  return `${capitalise(e.event)}: ${e.year}${e.place ? `, ${e.place}` : ''}`;
+}
+
+// Events with different years, in random order.
+function distinctYearEvents(events) {
+  const byYear = new Map();
+  shuffleArray([...events]).forEach(e => {
+    if (!byYear.has(e.year)) byYear.set(e.year, e);
+  });
+  return Array.from(byYear.values());
+}
+
+// Events
+
+function eventYear(ctx, events) {
+  const e = pickOne(events);
+  const chapterYears = pickSome(events.map(x => x.year).filter(y => y !== e.year), 2);
+  const nearby = shuffleArray([1, 2, 3, 4, 5].flatMap(d => [e.year - d, e.year + d]));
+  const { options, correctOption } = mcqOptions(e.year, [...chapterYears, ...nearby]);
+  return socialQuestion(ctx, 'year', 'history', {
+    question: `Which year is associated with ${e.event}?`,
+    options,
+    correctOption,
+    answer: `${eventSummary(e)}.`,
+    keywords: [String(e.year)]
+  });
+}
+
+function eventPlace(ctx, events) {
+  const e = pickOne(events.filter(x => x.place));
+  const places = list => Array.from(new Set(list.filter(x => x.place && x.place !== e.place).map(x => x.place)));
+  const { options, correctOption } = mcqOptions(e.place, [...shuffleArray(places(events)), ...shuffleArray(places(EVENTS))]);
+  return socialQuestion(ctx, 'place', 'history', {
+    question: `Which place is associated with ${e.event}?`,
+    options,
+    correctOption,
+    answer: `${eventSummary(e)}.`,
+    keywords: [e.place]
+  });
+}
+
+function dateMatching(ctx, events) {
+  const picked = distinctYearEvents(events).slice(0, 4);
+  const years = picked.map(e => e.year).sort((a, b) => a - b);
+  const code = order => order.map((e, i) => `${'ABCD'[i]}-${ROMAN[years.indexOf(e.year)]}`).join(', ');
+  const wrongOrders = shuffleArray(Array.from({ length: 12 }, () => shuffleArray([...picked])));
+  const { options, correctOption } = mcqOptions(code(picked), wrongOrders.map(order => code(picked.map((_, i) => order[i]))));
+  return socialQuestion(ctx, 'match', 'history', {
+    question: `Match the events with the years.<br>${picked.map((e, i) => `${'ABCD'[i]}. ${capitalise(e.event)}`).join('<br>')}<br>` +
+      `Years: ${years.map((y, i) => `(${ROMAN[i]}) ${y}`).join(', ')}`,
+    options,
+    correctOption,
+    answer: `${code(picked)}.<br>${picked.map(eventSummary).join('<br>')}`,
+    keywords: picked.map(e => String(e.year))
+  });
+}
+
+function chronology(ctx, events) {
+  const picked = distinctYearEvents(events).slice(0, 4);
+  const ordered = [...picked].sort((a, b) => a.year - b.year);
+  const first = Math.random() < 0.5;
+  const correct = first ? ordered[0] : ordered[ordered.length - 1];
+  const { options, correctOption } = mcqOptions(capitalise(correct.event), picked.map(e => capitalise(e.event)));
+  return socialQuestion(ctx, 'order', 'history', {
+    question: `Which of these happened ${first ? 'first' : 'last'}?`,
+    options,
+    correctOption,
+    answer: `In order: ${ordered.map(e => `${e.event} (${e.year})`).join(', ')}. So ${correct.event} (${correct.year}) came ${first ? 'first' : 'last'}.`,
+    keywords: [String(correct.year)]
+  });
+}
+
+function eventSignificance(ctx, events) {
+  const e = pickOne(events);
+  const where = e.place ? ` at ${e.place}` : '';
+  return socialQuestion(ctx, 'event', 'history', {
+    type: QUESTION_TYPES.SHORT,
+    question: `Explain the significance of ${e.event} (${e.year}).`,
+    answer: `This is an open-ended practice prompt. Say what happened in ${e.year}${where}, why it happened, and its impact, in 3-4 sentences.`,
+    keywords: [String(e.year), ...(e.place ? [e.place] : []), 'impact']
+  });
+}
+
+// Constitution
+
+function articleQuestion(ctx, articles) {
+  const a = pickOne(articles);
+  const others = shuffleArray(ARTICLES.filter(x => x !== a));
+  if (Math.random() < 0.5) {
+    const { options, correctOption } = mcqOptions(`Article ${a.article}`, others.map(x => `Article ${x.article}`));
+    return socialQuestion(ctx, 'article', 'civics', {
+      question: `Which Article of the Indian Constitution ${a.provision}?`,
+      options,
+      correctOption,
+      answer: `Article ${a.article} ${a.provision}.`,
+      keywords: [`Article ${a.article}`]
+    });
+  }
+  const { options, correctOption } = mcqOptions(capitalise(a.provision), others.map(x => capitalise(x.provision)));
+  return socialQuestion(ctx, 'article', 'civics', {
+    question: `What does Article ${a.article} of the Indian Constitution do?`,
+    options,
+    correctOption,
+    answer: `Article ${a.article} ${a.provision}.`,
+    keywords: [a.provision]
+  });
+}
+
+// Sets: "Which of these is (NOT) ...?"
+
+function siblingGroups(group) {
+  return group.family ? GROUPS.filter(g => g.family === group.family && g !== group) : [];
+}
+
+function outsidersOf(group) {
+  return [...(group.outsiders || []), ...siblingGroups(group).flatMap(g => g.members)];
+}
+
+// The sibling group an outsider really belongs to, if any.
+function homeGroup(group, item) {
+  return siblingGroups(group).find(g => g.members.includes(item));
+}
+
+function groupQuestion(ctx, group) {
+  const outsiders = outsidersOf(group);
+  const negate = group.members.length >= 3 && (outsiders.length < 3 || Math.random() < 0.5);
+  if (negate) {
+    const members = pickSome(group.members, 3);
+    const odd = pickOne(outsiders);
+    const { options, correctOption } = mcqOptions(odd, members);
+    return socialQuestion(ctx, `not-${group.name}`, group.area, {
+      question: `Which of these is NOT ${group.label}?`,
+      options,
+      correctOption,
+      answer: `${odd}: not ${group.label}${homeGroup(group, odd) ? `, but ${homeGroup(group, odd).label}` : ''}. The other three are.`,
+      keywords: [odd]
+    });
+  }
+  const member = pickOne(group.members);
+  const others = pickSome(outsiders, 3);
+  const { options, correctOption } = mcqOptions(member, others);
+  return socialQuestion(ctx, `is-${group.name}`, group.area, {
+    question: `Which of these is ${group.label}?`,
+    options,
+    correctOption,
+    answer: `${member}: ${group.label}. The others are not: ${others.map(o => (homeGroup(group, o) ? `${o} (${homeGroup(group, o).label})` : o)).join(', ')}.`,
+    keywords: [member]
+  });
+}
+
+// Crops
+
+function cropClimate(ctx) {
+  const crops = CROPS.filter(c => c.climate);
+  const c = pickOne(crops);
+  const { options, correctOption } = mcqOptions(c.crop, shuffleArray(crops.map(x => x.crop)));
+  return socialQuestion(ctx, 'crop', 'geography', {
+    question: `Which crop grows best with ${c.climate}?`,
+    options,
+    correctOption,
+    answer: `${c.crop} needs ${c.climate}.`,
+    keywords: [c.crop]
+  });
+}
+
+function cropSoil(ctx) {
+  const crops = CROPS.filter(c => c.soil);
+  const c = pickOne(crops);
+  const { options, correctOption } = mcqOptions(c.soil, shuffleArray(crops.map(x => x.soil)));
+  return socialQuestion(ctx, 'soil', 'geography', {
+    question: `Which soil suits ${c.crop.toLowerCase()} best?`,
+    options,
+    correctOption,
+    answer: `${c.crop} grows best in ${c.soil.charAt(0).toLowerCase()}${c.soil.slice(1)}.`,
+    keywords: [c.soil]
+  });
+}
+
+// The templates that have facts for this chapter.
+function chapterGenerators(chapter) {
+  const events = EVENTS.filter(e => sameChapter(e.chapter, chapter));
+  const articles = ARTICLES.filter(a => a.chapters.some(c => sameChapter(c, chapter)));
+  const groups = GROUPS.filter(g => g.chapters.some(c => sameChapter(c, chapter)));
+
+  const generators = [];
+  if (events.length) generators.push(ctx => eventYear(ctx, events), ctx => eventSignificance(ctx, events));
+  if (events.some(e => e.place)) generators.push(ctx => eventPlace(ctx, events));
+  if (distinctYearEvents(events).length >= 4) generators.push(ctx => dateMatching(ctx, events), ctx => chronology(ctx, events));
+  if (articles.length) generators.push(ctx => articleQuestion(ctx, articles));
+  groups.forEach(g => generators.push(ctx => groupQuestion(ctx, g)));
+  if (CROP_CHAPTERS.some(c => sameChapter(c, chapter))) generators.push(cropClimate, cropSoil);
+  return generators;
+}
+
+function generateSocialScienceQuestion({ grade, chapter }) {
+  const ctx = { grade, chapter };
+  const generators = chapterGenerators(String(chapter));
+  if (generators.length) return generators[randInt(0, generators.length - 1)](ctx);
+
+  return liveQuestion({
+    ...ctx,
+    subject: 'Social Science',
+    key: 'ss',
+    tags: ['live'],
+    question: `Write a short note on a central theme of "${chapter}".`,
+    answer: `This is an open-ended practice prompt. Summarize the main idea or theme of the chapter in 4-5 lines.`,
+    keywords: ['summary', 'theme', 'key points']
+  });
+}
+
+module.exports = { generateSocialScienceQuestion };
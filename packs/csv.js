@@ -0,0 +1,182 @@
+/*
+  Spreadsheet question packs (.csv and .tsv).
+
+  One question per row under a header row. Column names are matched case-insensitively and
+  may be in any order; unknown columns are ignored with a warning.
+
+    required   id, grade, subject, chapter, type, question, answer
+    optional   source, tags, difficulty, options, correctOption, keywords, diagram,
+               numericAnswer, unit, tolerance, variables, constraints
+
+  List columns (tags, options, keywords) separate their items with "|"; write "\|" for a
+  literal bar inside an item, e.g. an option "\|x\|". The template columns (variables,
+  constraints) hold JSON, as in a JSON pack. Blank cells are treated as missing.
+
+  .csv files are comma-separated and .tsv files tab-separated. Cells containing the
+  separator, quotes or line breaks are quoted as in RFC 4180.
+*/
+
+'use strict';
+
+const PACK_COLUMNS = [
+  'id', 'grade', 'subject', 'chapter', 'type', 'source', 'tags', 'difficulty',
+  'question', 'options', 'correctOption', 'answer', 'keywords', 'diagram',
+  'numericAnswer', 'unit', 'tolerance', 'variables', 'constraints'
+];
+const REQUIRED_COLUMNS = ['id', 'grade', 'subject', 'chapter', 'type', 'question', 'answer'];
+const LIST_COLUMNS = new Set(['tags', 'options', 'keywords']);
+const JSON_COLUMNS = new Set(['variables', 'constraints']);
+const LIST_SEPARATOR = '|';
+
+// "Correct Option", "correct_option" and "correctoption" all name the same column.
+const COLUMN_BY_KEY = {};
+PACK_COLUMNS.forEach(name => {
+  COLUMN_BY_KEY[columnKey(name)] = name;
+});
+
+function columnKey(name) {
+  return String(name || '').replace(/[\s_-]/g, '').toLowerCase();
+}
+
+function isTablePack(fileName) {
+  return /\.(csv|tsv)$/i.test(String(fileName || ''));
+}
+
+function delimiterFor(fileName) {
+  return /\.tsv$/i.test(String(fileName || '')) ? '\t' : ',';
+}
+
+// Rows of cells. Throws on a quoted cell that never closes.
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let quoteRow = 0;
+  const src = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch !== '"') cell += ch;
+      else if (src[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else inQuotes = false;
+    } else if (ch === '"' && cell === '') {
+      inQuotes = true;
+      quoteRow = rows.length + 1;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (inQuotes) throw new Error(`quoted cell starting in row ${quoteRow} is never closed`);
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function splitList(value) {
+  return value
+    .split(/(?<!\\)\|/)
+    .map(item => item.replace(/\\\|/g, LIST_SEPARATOR).trim())
+    .filter(Boolean);
+}
+
+function joinList(items) {
+  return items.map(item => String(item).replace(/\|/g, '\\|')).join(LIST_SEPARATOR);
+}
+
+// Left as text when it is not JSON, so the validator reports it against the question.
+function parseJsonCell(value) {
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+// Spreadsheet exports guard text like "=5" as "'=5"; undo that so values round-trip.
+function unguard(value) {
+  return /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+}
+
+// Question objects in the JSON pack shape, with the spreadsheet row number of each one.
+// Throws when the file cannot be read as a table or lacks a required column.
+function tableToQuestions(text, fileName) {
+  const rows = parseDelimited(text, delimiterFor(fileName));
+  if (!rows.length) throw new Error('the file is empty');
+
+  const warnings = [];
+  const columns = rows[0].map(header => {
+    const name = COLUMN_BY_KEY[columnKey(header)];
+    if (!name && header.trim()) warnings.push(`unknown column "${header.trim()}" ignored`);
+    return name || null;
+  });
+  const missing = REQUIRED_COLUMNS.filter(name => !columns.includes(name));
+  if (missing.length) throw new Error(`missing column(s): ${missing.join(', ')}`);
+
+  const entries = [];
+  const rowNumbers = [];
+  rows.slice(1).forEach((cells, i) => {
+    if (cells.every(cell => !cell.trim())) return;
+    const entry = {};
+    columns.forEach((name, c) => {
+      if (!name) return;
+      const value = unguard(String(cells[c] ?? '').trim());
+      if (!value) return;
+      if (LIST_COLUMNS.has(name)) entry[name] = splitList(value);
+      else if (JSON_COLUMNS.has(name)) entry[name] = parseJsonCell(value);
+      else entry[name] = value;
+    });
+    entries.push(entry);
+    rowNumbers.push(i + 2);
+  });
+
+  return { entries, rowNumbers, warnings };
+}
+
+// One CSV/TSV cell. Shared with the session report so every CSV the app writes is escaped alike.
+function toCsvCell(value, delimiter = ',') {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheets from treating text as a formula; tableToQuestions strips the quote again.
+  if (typeof value === 'string' && /^[=+\-@]/.test(text) && !Number.isFinite(Number(text))) text = `'${text}`;
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+function toCell(value, delimiter, name) {
+  if (value === null || value === undefined) return '';
+  if (JSON_COLUMNS.has(name)) return Array.isArray(value) && !value.length ? '' : toCsvCell(JSON.stringify(value), delimiter);
+  return toCsvCell(Array.isArray(value) ? joinList(value) : value, delimiter);
+}
+
+// The inverse of tableToQuestions: a header row plus one row per question.
+function questionsToTable(questions, delimiter = ',') {
+  const lines = [PACK_COLUMNS.join(delimiter)];
+  questions.forEach(q => {
+    lines.push(PACK_COLUMNS.map(name => toCell(q[name], delimiter, name)).join(delimiter));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  PACK_COLUMNS,
+  isTablePack,
+  tableToQuestions,
+  questionsToTable,
+  toCsvCell
+};
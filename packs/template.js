@@ -0,0 +1,426 @@
+/*
+  Template questions for packs.
+
+  A pack question with a "variables" object is a template: each time it is drawn for a room,
+  its variables get fresh values and every {{ expression }} in its text is filled in.
+
+    "variables": {
+      "d":   { "range": [200, 1200], "step": 10 },    every step from min to max
+      "t":   { "range": [20, 180] },                  step defaults to 1
+      "obj": { "choice": ["car", "cyclist"] },        one of the listed values
+      "v":   "round(d / t, 2)"                        an expression over other variables
+    },
+    "constraints": ["d % t != 0"],                    redraw until all are true
+    "question": "A {{obj}} covers {{d}} m in {{t}} s. Find its speed.",
+    "numericAnswer": "{{v}}"
+
+  Placeholders may appear in question, answer, options, keywords, correctOption, numericAnswer,
+  unit and tolerance.
+
+  Expressions are parsed here and evaluated over the variables only; nothing is passed to
+  eval or Function. They support numbers, 'strings', + - * / % ^ (power), comparisons,
+  && || !, cond ? a : b, the constants pi and e, and the functions in FUNCTIONS. Trigonometric
+  functions work in degrees.
+*/
+
+'use strict';
+
+const MAX_TRIES = 50;
+const MAX_RANGE_VALUES = 100000;
+const TEMPLATE_FIELDS = ['question', 'answer', 'unit', 'tolerance', 'numericAnswer', 'correctOption'];
+const TEMPLATE_LIST_FIELDS = ['options', 'keywords'];
+
+const DEG = Math.PI / 180;
+
+function gcd(a, b) {
+  let x = Math.abs(Math.round(a));
+  let y = Math.abs(Math.round(b));
+  while (y) [x, y] = [y, x % y];
+  return x;
+}
+
+function num(name, value) {
+  if (typeof value !== 'number') throw new Error(`${name}() needs numbers, got ${JSON.stringify(value)}`);
+  return value;
+}
+
+const FUNCTIONS = new Map(Object.entries({
+  round: (x, digits = 0) => {
+    const f = 10 ** num('round', digits);
+    return Math.round(num('round', x) * f) / f;
+  },
+  fixed: (x, digits = 2) => num('fixed', x).toFixed(Math.max(0, Math.min(10, num('fixed', digits)))),
+  floor: x => Math.floor(num('floor', x)),
+  ceil: x => Math.ceil(num('ceil', x)),
+  abs: x => Math.abs(num('abs', x)),
+  sqrt: x => Math.sqrt(num('sqrt', x)),
+  cbrt: x => Math.cbrt(num('cbrt', x)),
+  pow: (x, y) => num('pow', x) ** num('pow', y),
+  exp: x => Math.exp(num('exp', x)),
+  ln: x => Math.log(num('ln', x)),
+  log10: x => Math.log10(num('log10', x)),
+  log: (x, base = 10) => Math.log(num('log', x)) / Math.log(num('log', base)),
+  sin: x => Math.sin(num('sin', x) * DEG),
+  cos: x => Math.cos(num('cos', x) * DEG),
+  tan: x => Math.tan(num('tan', x) * DEG),
+  asin: x => Math.asin(num('asin', x)) / DEG,
+  acos: x => Math.acos(num('acos', x)) / DEG,
+  atan: x => Math.atan(num('atan', x)) / DEG,
+  min: (...xs) => Math.min(...xs.map(x => num('min', x))),
+  max: (...xs) => Math.max(...xs.map(x => num('max', x))),
+  gcd: (a, b) => gcd(num('gcd', a), num('gcd', b)),
+  lcm: (a, b) => {
+    const d = gcd(num('lcm', a), num('lcm', b));
+    return d ? Math.abs(Math.round(a) * Math.round(b)) / d : 0;
+  },
+  // pick(i, a, b, c): the i-th item (from 0), so related values can share one index variable.
+  pick: (i, ...items) => {
+    const index = num('pick', i);
+    if (!Number.isInteger(index) || index < 0 || index >= items.length) {
+      throw new Error(`pick() index ${index} is outside 0..${items.length - 1}`);
+    }
+    return items[index];
+  }
+}));
+
+const CONSTANTS = new Map([['pi', Math.PI], ['e', Math.E]]);
+
+const BINARY_PRECEDENCE = {
+  '||': 1, '&&': 2,
+  '==': 3, '!=': 3,
+  '<': 4, '<=': 4, '>': 4, '>=': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6
+};
+const UNARY_PRECEDENCE = 7;
+const POWER_PRECEDENCE = 8;
+
+function tokenize(src) {
+  const tokens = [];
+  const re = /\s*(?:(\d+\.?\d*(?:e[-+]?\d+)?|\.\d+(?:e[-+]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|'([^']*)'|"([^"]*)"|(==|!=|<=|>=|&&|\|\||[-+*/%^()<>!?:,]))/y;
+  let pos = 0;
+  while (pos < src.length) {
+    if (/^\s*$/.test(src.slice(pos))) break;
+    re.lastIndex = pos;
+    const m = re.exec(src);
+    if (!m) throw new Error(`unexpected "${src.slice(pos).trim()[0]}" in "${src}"`);
+    pos = re.lastIndex;
+    if (m[1] !== undefined) tokens.push({ kind: 'num', value: Number(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ kind: 'name', value: m[2] });
+    else if (m[3] !== undefined || m[4] !== undefined) tokens.push({ kind: 'str', value: m[3] ?? m[4] });
+    else tokens.push({ kind: 'op', value: m[5] });
+  }
+  return tokens;
+}
+
+// Precedence climbing over the tokens. Nodes: num, str, name, unary, binary, cond, call.
+function parseExpression(src) {
+  const tokens = tokenize(String(src));
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (token, op) => Boolean(token && token.kind === 'op' && token.value === op);
+  const expectOp = op => {
+    if (!isOp(tokens[pos], op)) throw new Error(`expected "${op}" in "${src}"`);
+    pos += 1;
+  };
+
+  function primary() {
+    const token = tokens[pos++];
+    if (!token) throw new Error(`"${src}" ends too early`);
+    if (token.kind === 'num' || token.kind === 'str') return { type: token.kind, value: token.value };
+    if (token.kind === 'name') {
+      if (!isOp(peek(), '(')) return { type: 'name', name: token.value };
+      if (!FUNCTIONS.has(token.value)) throw new Error(`unknown function "${token.value}" in "${src}"`);
+      pos += 1;
+      const args = [];
+      if (!isOp(peek(), ')')) {
+        for (;;) {
+          args.push(expression(0));
+          if (!isOp(peek(), ',')) break;
+          pos += 1;
+        }
+      }
+      expectOp(')');
+      return { type: 'call', name: token.value, args };
+    }
+    if (isOp(token, '(')) {
+      const inner = expression(0);
+      expectOp(')');
+      return inner;
+    }
+    if (isOp(token, '-') || isOp(token, '+') || isOp(token, '!')) {
+      return { type: 'unary', op: token.value, arg: expression(UNARY_PRECEDENCE) };
+    }
+    throw new Error(`unexpected "${token.value}" in "${src}"`);
+  }
+
+  function expression(minPrecedence) {
+    let left = primary();
+    for (;;) {
+      const token = peek();
+      if (!token || token.kind !== 'op') break;
+      if (token.value === '^' && POWER_PRECEDENCE >= minPrecedence) {
+        pos += 1;
+        left = { type: 'binary', op: '^', left, right: expression(POWER_PRECEDENCE) };
+        continue;
+      }
+      if (token.value === '?' && minPrecedence === 0) {
+        pos += 1;
+        const then = expression(0);
+        expectOp(':');
+        left = { type: 'cond', test: left, then, otherwise: expression(0) };
+        continue;
+      }
+      const precedence = BINARY_PRECEDENCE[token.value];
+      if (!precedence || precedence < minPrecedence) break;
+      pos += 1;
+      left = { type: 'binary', op: token.value, left, right: expression(precedence + 1) };
+    }
+    return left;
+  }
+
+  const ast = expression(0);
+  if (pos < tokens.length) throw new Error(`unexpected "${tokens[pos].value}" in "${src}"`);
+  return ast;
+}
+
+function namesIn(ast, out = new Set()) {
+  if (ast.type === 'name') out.add(ast.name);
+  if (ast.arg) namesIn(ast.arg, out);
+  if (ast.left) namesIn(ast.left, out);
+  if (ast.right) namesIn(ast.right, out);
+  if (ast.test) [ast.test, ast.then, ast.otherwise].forEach(node => namesIn(node, out));
+  if (ast.args) ast.args.forEach(node => namesIn(node, out));
+  return out;
+}
+
+function evaluate(ast, scope) {
+  switch (ast.type) {
+    case 'num':
+    case 'str':
+      return ast.value;
+    case 'name':
+      if (scope.has(ast.name)) return scope.get(ast.name);
+      return CONSTANTS.get(ast.name);
+    case 'unary': {
+      const value = evaluate(ast.arg, scope);
+      if (ast.op === '!') return !value;
+      return ast.op === '-' ? -num('-', value) : num('+', value);
+    }
+    case 'cond':
+      return evaluate(ast.test, scope) ? evaluate(ast.then, scope) : evaluate(ast.otherwise, scope);
+    case 'call':
+      return FUNCTIONS.get(ast.name)(...ast.args.map(arg => evaluate(arg, scope)));
+    case 'binary': {
+      if (ast.op === '&&') return evaluate(ast.left, scope) && evaluate(ast.right, scope);
+      if (ast.op === '||') return evaluate(ast.left, scope) || evaluate(ast.right, scope);
+      const a = evaluate(ast.left, scope);
+      const b = evaluate(ast.right, scope);
+      switch (ast.op) {
+        case '+': return typeof a === 'string' || typeof b === 'string' ? formatValue(a) + formatValue(b) : a + b;
+        case '-': return num('-', a) - num('-', b);
+        case '*': return num('*', a) * num('*', b);
+        case '/': return num('/', a) / num('/', b);
+        case '%': return num('%', a) % num('%', b);
+        case '^': return num('^', a) ** num('^', b);
+        case '==': return a === b;
+        case '!=': return a !== b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        default: throw new Error(`unknown operator "${ast.op}"`);
+      }
+    }
+    default:
+      throw new Error(`cannot evaluate a ${ast.type} node`);
+  }
+}
+
+// Numbers print without floating-point noise: 0.1 + 0.2 gives "0.3".
+function formatValue(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error(`the result is ${value}`);
+    return String(Number(value.toPrecision(12)));
+  }
+  return String(value);
+}
+
+// Text with {{ expression }} placeholders: literal strings and parsed expressions, in order.
+function compileText(text, field) {
+  const parts = [];
+  let rest = String(text);
+  for (;;) {
+    const start = rest.indexOf('{{');
+    if (start < 0) break;
+    const end = rest.indexOf('}}', start + 2);
+    if (end < 0) throw new Error(`"${field}" has a "{{" without a closing "}}"`);
+    if (start) parts.push(rest.slice(0, start));
+    const src = rest.slice(start + 2, end).trim();
+    if (!src) throw new Error(`"${field}" has an empty {{ }}`);
+    try {
+      parts.push({ src, ast: parseExpression(src) });
+    } catch (e) {
+      throw new Error(`"${field}": ${e.message}`);
+    }
+    rest = rest.slice(end + 2);
+  }
+  if (rest) parts.push(rest);
+  return parts;
+}
+
+function renderText(parts, scope) {
+  return parts.map(part => (typeof part === 'string' ? part : formatValue(evaluate(part.ast, scope)))).join('');
+}
+
+function compileVariable(name, spec) {
+  if (typeof spec === 'number' || typeof spec === 'boolean') return { name, kind: 'const', value: spec, deps: new Set() };
+  if (typeof spec === 'string') {
+    const ast = parseExpression(spec);
+    return { name, kind: 'expr', ast, deps: namesIn(ast) };
+  }
+  if (Array.isArray(spec?.choice)) {
+    if (!spec.choice.length) throw new Error(`variable "${name}": "choice" is empty`);
+    return { name, kind: 'choice', values: spec.choice, deps: new Set() };
+  }
+  if (Array.isArray(spec?.range)) {
+    const [min, max] = spec.range.map(Number);
+    const step = spec.step === undefined ? 1 : Number(spec.step);
+    if (spec.range.length !== 2 || !Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+      throw new Error(`variable "${name}": "range" must be [min, max] with min ≤ max`);
+    }
+    if (!Number.isFinite(step) || step <= 0) throw new Error(`variable "${name}": "step" must be a positive number`);
+    const count = Math.floor((max - min) / step + 1e-9) + 1;
+    if (count > MAX_RANGE_VALUES) throw new Error(`variable "${name}": the range has more than ${MAX_RANGE_VALUES} values`);
+    const decimals = (String(step).split('.')[1] || '').length;
+    return { name, kind: 'range', min, step, count, decimals, deps: new Set() };
+  }
+  throw new Error(`variable "${name}" must be a number, an expression, { "range": [min, max] } or { "choice": [...] }`);
+}
+
+// Variables in an order where each one comes after the variables its expression uses.
+function orderVariables(variables) {
+  const byName = new Map(variables.map(v => [v.name, v]));
+  const ordered = [];
+  const state = new Map(); // name -> 'visiting' | 'done'
+
+  function visit(v, path) {
+    if (state.get(v.name) === 'done') return;
+    if (state.get(v.name) === 'visiting') throw new Error(`variables depend on each other in a loop: ${[...path, v.name].join(' → ')}`);
+    state.set(v.name, 'visiting');
+    v.deps.forEach(dep => {
+      if (byName.has(dep)) visit(byName.get(dep), [...path, v.name]);
+      else if (!CONSTANTS.has(dep)) throw new Error(`variable "${v.name}" uses unknown name "${dep}"`);
+    });
+    state.set(v.name, 'done');
+    ordered.push(v);
+  }
+
+  variables.forEach(v => visit(v, []));
+  return ordered;
+}
+
+function isTemplateQuestion(q) {
+  return Boolean(q) && typeof q === 'object' && Boolean(q.variables) && typeof q.variables === 'object' && !Array.isArray(q.variables);
+}
+
+// Parses a template's variables, constraints and placeholders. Throws on the first problem.
+function compileTemplate(q) {
+  const variables = orderVariables(
+    Object.entries(q.variables).map(([name, spec]) => {
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) throw new Error(`variable name "${name}" must be letters, digits and _`);
+      if (CONSTANTS.has(name) || FUNCTIONS.has(name)) throw new Error(`variable name "${name}" is reserved`);
+      return compileVariable(name, spec);
+    })
+  );
+  const known = new Set(variables.map(v => v.name));
+  const checkNames = (ast, where) => {
+    namesIn(ast).forEach(name => {
+      if (!known.has(name) && !CONSTANTS.has(name)) throw new Error(`${where} uses unknown name "${name}"`);
+    });
+  };
+
+  if (q.constraints !== undefined && !Array.isArray(q.constraints)) throw new Error('"constraints" must be an array of expressions');
+  const constraints = (q.constraints || []).map(src => {
+    const ast = parseExpression(src);
+    checkNames(ast, `constraint "${src}"`);
+    return ast;
+  });
+
+  const fields = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    if (typeof q[field] === 'string') fields[field] = compileText(q[field], field);
+  });
+  TEMPLATE_LIST_FIELDS.forEach(field => {
+    if (Array.isArray(q[field])) fields[field] = q[field].map((item, i) => compileText(item, `${field}[${i + 1}]`));
+  });
+  Object.entries(fields).forEach(([field, parts]) => {
+    (field === 'options' || field === 'keywords' ? parts.flat() : parts).forEach(part => {
+      if (typeof part !== 'string') checkNames(part.ast, `"${field}"`);
+    });
+  });
+
+  return { variables, constraints, fields };
+}
+
+function drawValues(compiled, random) {
+  const scope = new Map();
+  compiled.variables.forEach(v => {
+    if (v.kind === 'const') scope.set(v.name, v.value);
+    else if (v.kind === 'choice') scope.set(v.name, v.values[Math.floor(random() * v.values.length)]);
+    else if (v.kind === 'range') {
+      const value = v.min + Math.floor(random() * v.count) * v.step;
+      scope.set(v.name, Number(value.toFixed(v.decimals)));
+    } else {
+      scope.set(v.name, evaluate(v.ast, scope));
+    }
+  });
+  return scope;
+}
+
+// FNV-1a, so the same values always give the same instance id (and a room never gets the same
+// variant twice).
+function hashValues(scope) {
+  let hash = 0x811c9dc5;
+  const text = JSON.stringify(Array.from(scope.entries()));
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+// A plain question built from the template with fresh values: the template fields are filled
+// in and the template-only fields dropped. Throws when no draw meets the constraints.
+function instantiateTemplate(q, compiled = compileTemplate(q), { random = Math.random } = {}) {
+  let lastError = null;
+  for (let attempt = 0; attempt < MAX_TRIES; attempt++) {
+    try {
+      const scope = drawValues(compiled, random);
+      if (!compiled.constraints.every(ast => evaluate(ast, scope))) {
+        lastError = new Error(`no values met the constraints in ${MAX_TRIES} draws`);
+        continue;
+      }
+      const { variables, constraints, ...question } = q;
+      Object.entries(compiled.fields).forEach(([field, parts]) => {
+        question[field] = TEMPLATE_LIST_FIELDS.includes(field)
+          ? parts.map(item => renderText(item, scope))
+          : renderText(parts, scope);
+      });
+      question.id = `${q.id}~${hashValues(scope)}`;
+      return question;
+    } catch (e) {
+      lastError = e;
+    }
+  }
+  throw lastError;
+}
+
+module.exports = {
+  isTemplateQuestion,
+  compileTemplate,
+  instantiateTemplate,
+  parseExpression,
+  evaluate
+};
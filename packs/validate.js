@@ -0,0 +1,353 @@
+/*
+  Question pack validation.
+
+  The pack loader, the pack linter and packs uploaded from the host screen share these
+  rules, so a question the linter passes is a question the server loads. Question and answer
+  HTML is cleaned to the allowlist in questions/sanitize.js.
+
+    errors   - the question (or whole file) is skipped when loading
+    warnings - the question loads, but something about it will look wrong in a session
+
+  validatePackQuestion(q, context) checks a single question. Its context always needs
+  `questionTypes`; the optional `curriculum`, `trustedSources` and `diagramExists` enable
+  the corresponding warnings.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeNumericFields } = require('../answers/numeric');
+const { DIFFICULTIES } = require('../questions/types');
+const { isTablePack, tableToQuestions } = require('./csv');
+const { ALLOWED_TAGS, cleanHtml } = require('../questions/sanitize');
+const { isTemplateQuestion, compileTemplate, instantiateTemplate } = require('./template');
+
+// Variants drawn from a template when it is checked; their problems are reported on the template.
+const TEMPLATE_TRIAL_DRAWS = 20;
+
+// A pack file holds either an array of questions or { questions: [...] }; null for anything else.
+function extractPackQuestions(parsed) {
+  if (Array.isArray(parsed)) return parsed;
+  if (Array.isArray(parsed?.questions)) return parsed.questions;
+  return null;
+}
+
+function isPackFileName(fileName) {
+  return /\.(json|csv|tsv)$/i.test(String(fileName || ''));
+}
+
+function listPackFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter(d => d.isFile() && isPackFileName(d.name))
+    .map(d => d.name);
+}
+
+// Raw question entries from a pack file of any supported format, plus where each one sits in
+// the file: its position in a JSON list, or its spreadsheet row. `entries` is null for JSON
+// that is not a pack; unreadable files throw.
+function parsePackText(fileName, text) {
+  if (isTablePack(fileName)) {
+    const { entries, rowNumbers, warnings } = tableToQuestions(text, fileName);
+    return { entries, positions: rowNumbers, positionKind: 'row', warnings };
+  }
+  const entries = extractPackQuestions(JSON.parse(text));
+  return { entries, positions: (entries || []).map((_, i) => i + 1), positionKind: 'index', warnings: [] };
+}
+
+// The text a reader sees: tags dropped and the common entities decoded.
+function stripTags(text) {
+  return String(text || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Returns { question, errors, warnings }; question is the normalised object, or null when there are errors.
+function validatePackQuestion(q, context) {
+  const { questionTypes, curriculum, trustedSources, diagramExists } = context;
+  const errors = [];
+  const warnings = [];
+
+  if (!q || typeof q !== 'object' || Array.isArray(q)) {
+    return { question: null, errors: ['not a question object'], warnings };
+  }
+  if (q.variables !== undefined) return validateTemplateQuestion(q, context);
+
+  if (!q.id || typeof q.id !== 'string') errors.push('missing "id" (string)');
+  if (!q.grade || !Number.isFinite(Number(q.grade))) errors.push('missing or non-numeric "grade"');
+  if (!q.subject || typeof q.subject !== 'string') errors.push('missing "subject"');
+  if (!q.chapter || typeof q.chapter !== 'string') errors.push('missing "chapter"');
+  if (!q.type || typeof q.type !== 'string') {
+    errors.push('missing "type"');
+  } else if (!Object.values(questionTypes).includes(q.type)) {
+    errors.push(`unknown type "${q.type}" (expected one of: ${Object.values(questionTypes).join(', ')})`);
+  }
+  if (!q.question || typeof q.question !== 'string') errors.push('missing "question" text');
+  if (!q.answer || typeof q.answer !== 'string') errors.push('missing "answer" text');
+
+  const questionHtml = cleanHtml(q.question);
+  const answerHtml = cleanHtml(q.answer);
+  const normalized = {
+    id: q.id,
+    grade: Number(q.grade),
+    subject: q.subject,
+    chapter: q.chapter,
+    type: q.type,
+    source: q.source || 'practice',
+    tags: Array.isArray(q.tags) ? q.tags : [],
+    question: questionHtml.html,
+    answer: answerHtml.html,
+    keywords: Array.isArray(q.keywords) ? q.keywords : [],
+    diagram: q.diagram || null
+  };
+
+  if (q.type === questionTypes.MCQ) {
+    if (!Array.isArray(q.options) || q.options.length < 2) {
+      errors.push('MCQ needs an "options" array with at least 2 entries');
+    } else {
+      const correct = Number(q.correctOption);
+      if (!Number.isInteger(correct) || correct < 1 || correct > q.options.length) {
+        errors.push(`"correctOption" must be a whole number from 1 to ${q.options.length} (got ${JSON.stringify(q.correctOption)})`);
+      }
+      normalized.options = q.options.map(String);
+      normalized.correctOption = correct;
+
+      const seen = new Set();
+      normalized.options.forEach(opt => {
+        const key = opt.trim().toLowerCase();
+        if (seen.has(key)) warnings.push(`duplicate MCQ option "${opt}"`);
+        seen.add(key);
+      });
+    }
+  }
+
+  if (q.type === questionTypes.NUMERICAL) {
+    const numeric = normalizeNumericFields(q);
+    if (!numeric) errors.push('"numericAnswer" must be a number and "tolerance" a number or percentage like "2%"');
+    else Object.assign(normalized, numeric);
+  } else if (q.numericAnswer !== undefined) {
+    warnings.push('"numericAnswer" is only used on numerical questions and is ignored here');
+  }
+
+  if (q.difficulty !== undefined && q.difficulty !== null && q.difficulty !== '') {
+    const difficulty = String(q.difficulty).trim().toLowerCase();
+    if (DIFFICULTIES.includes(difficulty)) normalized.difficulty = difficulty;
+    else warnings.push(`unknown difficulty ${JSON.stringify(q.difficulty)} (expected one of: ${DIFFICULTIES.join(', ')}); ignored`);
+  }
+
+  const removedTags = new Set([...questionHtml.removed, ...answerHtml.removed]);
+  if (removedTags.size) {
+    warnings.push(
+      `HTML tags other than ${ALLOWED_TAGS.map(t => `<${t}>`).join(', ')} are removed: ` +
+      Array.from(removedTags).map(t => `<${t}>`).join(', ')
+    );
+  }
+
+  if (q.tags !== undefined && !Array.isArray(q.tags)) warnings.push('"tags" should be an array; ignored');
+  if (q.keywords !== undefined && !Array.isArray(q.keywords)) warnings.push('"keywords" should be an array; ignored');
+
+  // Keywords are highlighted in the revealed answer by plain case-insensitive search; a keyword
+  // written as $...$ is looked for in the answer's formulas with spacing ignored.
+  if (typeof q.answer === 'string' && Array.isArray(q.keywords)) {
+    const answer = stripTags(q.answer).toLowerCase();
+    const formulas = answer.replace(/[$\s]/g, '');
+    const found = kw => kw.includes('$')
+      ? formulas.includes(kw.replace(/[$\s]/g, '').toLowerCase())
+      : answer.includes(kw.toLowerCase());
+    const missing = q.keywords.filter(kw => typeof kw !== 'string' || !found(kw));
+    if (missing.length) {
+      warnings.push(`keywords never appear in the answer, so they are not highlighted: ${missing.map(kw => JSON.stringify(kw)).join(', ')}`);
+    }
+  }
+
+  if (trustedSources && q.source && !trustedSources[q.source]) {
+    warnings.push(`unknown source "${q.source}" (known: ${Object.keys(trustedSources).join(', ')}); shown as plain text`);
+  }
+
+  if (diagramExists && q.diagram && !diagramExists(q.diagram)) {
+    warnings.push(`diagram "${q.diagram}" has no SVG in public/diagrams; it will not be shown`);
+  }
+
+  const placed = Number.isFinite(normalized.grade) && typeof q.subject === 'string' && typeof q.chapter === 'string';
+  if (curriculum && placed) {
+    const subjects = curriculum[normalized.grade];
+    if (!subjects) {
+      warnings.push(`class ${normalized.grade} is not in CURRICULUM`);
+    } else if (!subjects[normalized.subject]) {
+      warnings.push(`subject "${normalized.subject}" is not in CURRICULUM for class ${normalized.grade}`);
+    } else if (!subjects[normalized.subject].includes(normalized.chapter)) {
+      warnings.push(`chapter "${normalized.chapter}" is not in CURRICULUM for class ${normalized.grade} ${normalized.subject}; it shows up as a separate chapter`);
+    }
+  }
+
+  return { question: errors.length ? null : normalized, errors, warnings };
+}
+
+const compiledTemplates = new WeakMap();
+
+function compiledTemplate(q) {
+  if (!compiledTemplates.has(q)) compiledTemplates.set(q, compileTemplate(q));
+  return compiledTemplates.get(q);
+}
+
+// A template is checked by drawing a few variants and validating each like an ordinary question.
+// Returns the template itself (with its placeholders) as `question`, for the bank to index.
+function validateTemplateQuestion(q, context) {
+  const errors = [];
+  const warnings = [];
+  if (!isTemplateQuestion(q)) return { question: null, errors: ['"variables" must be an object'], warnings };
+
+  let compiled;
+  try {
+    compiled = compileTemplate(q);
+  } catch (e) {
+    return { question: null, errors: [`template: ${e.message}`], warnings };
+  }
+
+  // The same problem with different numbers is reported once.
+  const seenWarnings = new Set();
+  let sample = null;
+  for (let i = 0; i < TEMPLATE_TRIAL_DRAWS && !errors.length; i++) {
+    let variant;
+    try {
+      variant = instantiateTemplate(q, compiled);
+    } catch (e) {
+      errors.push(`template: ${e.message}`);
+      break;
+    }
+    const result = validatePackQuestion(variant, context);
+    const example = typeof variant.question === 'string' ? ` (e.g. ${JSON.stringify(cleanHtml(variant.question).html.slice(0, 80))})` : '';
+    result.errors.forEach(message => errors.push(`a generated variant fails: ${message}${example}`));
+    result.warnings.forEach(message => {
+      const pattern = message.replace(/-?\d+(\.\d+)?/g, '#');
+      if (seenWarnings.has(pattern)) return;
+      seenWarnings.add(pattern);
+      warnings.push(`in a generated variant: ${message}${example}`);
+    });
+    sample ||= result.question;
+  }
+  if (errors.length || !sample) return { question: null, errors, warnings };
+
+  const question = { ...sample, id: q.id, variables: q.variables, constraints: q.constraints || [] };
+  ['question', 'answer', 'options', 'correctOption', 'keywords', 'numericAnswer', 'unit', 'tolerance'].forEach(field => {
+    if (q[field] === undefined) delete question[field];
+    else question[field] = q[field];
+  });
+  compiledTemplates.set(question, compiled);
+  return { question, errors, warnings };
+}
+
+// The question to put in a room: templates get fresh values, anything else is returned as is.
+// Null when a template cannot produce a valid variant.
+function instantiatePackQuestion(q, context) {
+  if (!isTemplateQuestion(q)) return q;
+  try {
+    const result = validatePackQuestion(instantiateTemplate(q, compiledTemplate(q)), context);
+    return result.question;
+  } catch (e) {
+    console.warn(`[question-packs] template ${q.id} failed:`, e?.message || e);
+    return null;
+  }
+}
+
+// Lints one pack file's text. Returns the file's diagnostics and the questions that load.
+// `idOwners` (id -> "file #n") carries ids across files and is updated in place. Issue
+// positions are spreadsheet rows when `positionKind` is "row".
+function lintPackText(fileName, text, { builtInIds = new Set(), idOwners = new Map(), ...context }) {
+  const table = isTablePack(fileName);
+  const file = { file: fileName, positionKind: table ? 'row' : 'index', questionCount: 0, loadedCount: 0, errors: [], warnings: [] };
+  const questions = [];
+
+  let parsed = null;
+  try {
+    parsed = parsePackText(fileName, text);
+    if (!parsed.entries) file.errors.push({ position: null, id: null, message: 'expected an array of questions or an object with a "questions" array' });
+    parsed.warnings.forEach(message => file.warnings.push({ position: null, id: null, message }));
+  } catch (e) {
+    const format = table ? path.extname(fileName).slice(1).toUpperCase() : 'JSON';
+    file.errors.push({ position: null, id: null, message: `invalid ${format}: ${e?.message || e}` });
+  }
+
+  (parsed?.entries || []).forEach((q, i) => {
+    const position = parsed.positions[i];
+    const id = q && typeof q.id === 'string' ? q.id : null;
+    const result = validatePackQuestion(q, context);
+    file.questionCount += 1;
+
+    if (id && builtInIds.has(id)) {
+      result.errors.push(`id "${id}" is already used by the built-in question bank`);
+    } else if (id && idOwners.has(id)) {
+      result.errors.push(`id "${id}" is already used in ${idOwners.get(id)}`);
+    }
+    if (id && !result.errors.length) idOwners.set(id, `${fileName} ${table ? 'row ' : '#'}${position}`);
+    if (!result.errors.length) {
+      file.loadedCount += 1;
+      questions.push(result.question);
+    }
+
+    result.errors.forEach(message => file.errors.push({ position, id, message }));
+    result.warnings.forEach(message => file.warnings.push({ position, id, message }));
+  });
+
+  return { file, questions };
+}
+
+// Lints every pack in `dir` the way the server would load it, including id clashes with the
+// built-in bank and between packs. Issues carry the question's position in its file (1-based).
+function lintQuestionPacks({ dir, builtInIds = new Set(), ...context }) {
+  const report = { dir, files: [], questionCount: 0, loadedCount: 0, errorCount: 0, warningCount: 0 };
+  const idOwners = new Map();
+
+  listPackFiles(dir).forEach(fileName => {
+    const text = fs.readFileSync(path.join(dir, fileName), 'utf8');
+    const { file } = lintPackText(fileName, text, { builtInIds, idOwners, ...context });
+    report.files.push(file);
+
+    report.questionCount += file.questionCount;
+    report.loadedCount += file.loadedCount;
+    report.errorCount += file.errors.length;
+    report.warningCount += file.warnings.length;
+  });
+
+  return report;
+}
+
+function formatLintReport(report) {
+  const lines = [];
+  if (!report.files.length) lines.push(`No .json, .csv or .tsv packs in ${report.dir}`);
+
+  report.files.forEach(file => {
+    const mark = file.positionKind === 'row' ? 'row ' : '#';
+    lines.push(`${file.file}: ${file.loadedCount}/${file.questionCount} questions load, ${file.errors.length} error(s), ${file.warnings.length} warning(s)`);
+    const issues = [
+      ...file.errors.map(issue => ({ ...issue, level: 'error' })),
+      ...file.warnings.map(issue => ({ ...issue, level: 'warning' }))
+    ].sort((a, b) => (a.position || 0) - (b.position || 0));
+    issues.forEach(issue => {
+      const where = issue.position ? `${mark}${issue.position}${issue.id ? ` (${issue.id})` : ''}` : 'file';
+      lines.push(`  ${issue.level.padEnd(7)} ${where}: ${issue.message}`);
+    });
+  });
+
+  lines.push('');
+  lines.push(`${report.loadedCount}/${report.questionCount} questions load; ${report.errorCount} error(s), ${report.warningCount} warning(s)`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  extractPackQuestions,
+  isPackFileName,
+  listPackFiles,
+  parsePackText,
+  validatePackQuestion,
+  instantiatePackQuestion,
+  lintPackText,
+  lintQuestionPacks,
+  formatLintReport
+};
@@ -0,0 +1,478 @@
+/*
+  Maths notation for question, option and answer text.
+
+  `$...$` is inline maths and `$$...$$` a displayed formula (`\(...\)` and `\[...\]` work too;
+  write `\$` for a dollar sign). Formulas are a subset of LaTeX rendered to MathML, which
+  browsers draw natively, so nothing is fetched at runtime.
+
+    fractions and roots    \frac{a}{b}  \dfrac  \binom{n}{r}  \sqrt{x}  \sqrt[3]{x}
+    scripts                x^2  a_{n+1}  x_i^2  f'(x)
+    big operators          \sum_{i=1}^{n}  \prod  \int_a^b  \lim_{x \to 0}
+    brackets               \left( ... \right)  \left| ... \right|  \left. ... \right|
+    matrices and cases     \begin{pmatrix} a & b \\ c & d \end{pmatrix}  (also matrix, bmatrix,
+                           vmatrix, Vmatrix, Bmatrix, cases, array, aligned)
+    text and styles        \text{...}  \mathrm  \mathbf  \operatorname
+    accents                \vec  \hat  \bar  \overline  \underline  \dot  \ddot  \tilde
+    symbols                Greek letters, \times \div \pm \le \ge \ne \approx \to \infty \degree ...
+
+  A formula that cannot be read is shown as its source, so a typo never hides a question.
+
+    MathText.toHtml(html)            render the maths in HTML text (question, answer)
+    MathText.textToHtml(text)        the same for plain text (MCQ options), escaping the rest
+    MathText.highlightKeywords(answer, keywords)
+                                     keyword highlighting that leaves formulas intact; a
+                                     formula whose source contains a keyword is highlighted whole
+*/
+
+(function () {
+  'use strict';
+
+  const GREEK = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ',
+    eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν',
+    xi: 'ξ', pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ',
+    upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ',
+    Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+  };
+
+  const OPERATORS = {
+    times: '×', div: '÷', pm: '±', mp: '∓', cdot: '⋅', ast: '∗', star: '⋆', circ: '∘',
+    bullet: '∙', le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', approx: '≈',
+    equiv: '≡', cong: '≅', sim: '∼', simeq: '≃', propto: '∝', ll: '≪', gg: '≫',
+    to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔', Rightarrow: '⇒',
+    Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹', iff: '⟺', mapsto: '↦',
+    longrightarrow: '⟶', rightleftharpoons: '⇌', uparrow: '↑', downarrow: '↓',
+    in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+    cup: '∪', cap: '∩', setminus: '∖', emptyset: '∅', varnothing: '∅', forall: '∀',
+    exists: '∃', neg: '¬', lnot: '¬', land: '∧', wedge: '∧', lor: '∨', vee: '∨',
+    perp: '⊥', parallel: '∥', mid: '∣', angle: '∠', triangle: '△', square: '□',
+    therefore: '∴', because: '∵', ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱',
+    langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉',
+    vert: '|', Vert: '‖', lbrace: '{', rbrace: '}', colon: ':', prime: '′', lt: '<', gt: '>'
+  };
+
+  const IDENTIFIERS = {
+    infty: '∞', partial: '∂', nabla: '∇', degree: '°', hbar: 'ℏ', ell: 'ℓ', Re: 'ℜ',
+    Im: 'ℑ', aleph: 'ℵ', R: 'ℝ', N: 'ℕ', Z: 'ℤ', Q: 'ℚ', C: 'ℂ'
+  };
+
+  // Operators whose limits sit above and below rather than to the side.
+  const LIMIT_OPERATORS = {
+    sum: '∑', prod: '∏', coprod: '∐', bigcup: '⋃', bigcap: '⋂', lim: 'lim', max: 'max',
+    min: 'min', sup: 'sup', inf: 'inf', limsup: 'lim sup', liminf: 'lim inf'
+  };
+  const INTEGRALS = { int: '∫', iint: '∬', iiint: '∭', oint: '∮' };
+
+  const FUNCTIONS = new Set([
+    'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'cosec', 'arcsin', 'arccos', 'arctan', 'sinh',
+    'cosh', 'tanh', 'log', 'ln', 'lg', 'exp', 'det', 'dim', 'gcd', 'deg', 'arg', 'ker', 'hom'
+  ]);
+
+  const ACCENTS = {
+    vec: '→', overrightarrow: '→', hat: '^', widehat: '^', bar: '¯', overline: '‾',
+    dot: '˙', ddot: '¨', tilde: '~', widetilde: '~'
+  };
+
+  const SPACES = { ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', ' ': '0.25em', quad: '1em', qquad: '2em' };
+
+  const ENVIRONMENTS = {
+    matrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'],
+    vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], cases: ['{', ''], array: ['', ''],
+    aligned: ['', ''], align: ['', ''], 'align*': ['', ''], gathered: ['', '']
+  };
+
+  // Commands that only change sizing or spacing in print; ignored here.
+  const IGNORED = new Set([
+    'displaystyle', 'textstyle', 'scriptstyle', 'limits', 'nolimits', 'big', 'Big',
+    'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr', '!', 'nonumber'
+  ]);
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function decodeEntities(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&');
+  }
+
+  // Tokens are { cmd }, { num } or { ch }, each with `at`, its offset in the source.
+  function tokenize(tex) {
+    const tokens = [];
+    let i = 0;
+    while (i < tex.length) {
+      const ch = tex[i];
+      if (ch === '\\') {
+        const word = /^[a-zA-Z]+\*?/.exec(tex.slice(i + 1));
+        const cmd = word ? word[0] : tex[i + 1] || '';
+        tokens.push({ cmd, at: i });
+        i += cmd.length + 1;
+      } else if (/\s/.test(ch)) {
+        i += 1;
+      } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(tex[i + 1] || ''))) {
+        const num = /^[0-9]*\.?[0-9]+|^[0-9]+\.?/.exec(tex.slice(i))[0];
+        tokens.push({ num, at: i });
+        i += num.length;
+      } else {
+        tokens.push({ ch, at: i });
+        i += 1;
+      }
+    }
+    return tokens;
+  }
+
+  function createParser(tex) {
+    const tokens = tokenize(tex);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const isChar = (token, ch) => Boolean(token && token.ch === ch);
+    const isCmd = (token, cmd) => Boolean(token && token.cmd === cmd);
+
+    function expectChar(ch) {
+      if (!isChar(next(), ch)) throw new Error(`expected "${ch}"`);
+    }
+
+    // The source text of a {...} group, for \text and \begin{...}.
+    function readRawGroup() {
+      const open = peek();
+      expectChar('{');
+      let depth = 1;
+      let text = '';
+      let i = open.at + 1;
+      for (; i < tex.length; i++) {
+        const ch = tex[i];
+        if (ch === '\\' && i + 1 < tex.length) {
+          text += /[{}$%&#_ ]/.test(tex[i + 1]) ? tex[i + 1] : ch + tex[i + 1];
+          i += 1;
+          continue;
+        }
+        if (ch === '{') depth += 1;
+        if (ch === '}' && --depth === 0) break;
+        text += ch;
+      }
+      if (depth) throw new Error('unclosed "{"');
+      while (pos < tokens.length && tokens[pos].at <= i) pos += 1;
+      return text;
+    }
+
+    function parseDelimiter() {
+      const token = next();
+      if (!token) throw new Error('missing delimiter');
+      if (token.ch) return token.ch === '.' ? '' : token.ch;
+      if (token.cmd === '{' || token.cmd === '}') return token.cmd;
+      if (token.cmd === '|') return '‖';
+      if (OPERATORS[token.cmd]) return OPERATORS[token.cmd];
+      throw new Error(`unknown delimiter "\\${token.cmd}"`);
+    }
+
+    function fence(open, inner, close) {
+      const mo = ch => (ch ? `<mo stretchy="true" fence="true">${escapeHtml(ch)}</mo>` : '');
+      return `<mrow>${mo(open)}${inner}${mo(close)}</mrow>`;
+    }
+
+    // Items until a closing brace, \right, &, \\ or \end (left for the caller), or the end.
+    function parseList() {
+      const items = [];
+      for (;;) {
+        const token = peek();
+        if (!token || isChar(token, '}') || isChar(token, '&') || isCmd(token, 'right') ||
+          isCmd(token, '\\') || isCmd(token, 'end')) break;
+        const item = parseScripted();
+        if (item) items.push(item);
+      }
+      return items.join('');
+    }
+
+    function parseGroup() {
+      expectChar('{');
+      const inner = parseList();
+      expectChar('}');
+      return `<mrow>${inner}</mrow>`;
+    }
+
+    // A command or script argument: a {...} group or a single token.
+    function parseArgument() {
+      const token = peek();
+      if (!token) throw new Error('missing argument');
+      if (isChar(token, '{')) return parseGroup();
+      const atom = parseAtom();
+      if (atom === null) throw new Error('missing argument');
+      return atom.html;
+    }
+
+    function parseScripted() {
+      const atom = parseAtom();
+      if (atom === null) return '';
+      let base = atom.html;
+      let sub = null;
+      let sup = null;
+      let primes = '';
+      for (;;) {
+        const token = peek();
+        if (isChar(token, '_') && sub === null) {
+          next();
+          sub = parseArgument();
+        } else if (isChar(token, '^') && sup === null) {
+          next();
+          sup = parseArgument();
+        } else if (isChar(token, "'")) {
+          next();
+          primes += '′';
+        } else {
+          break;
+        }
+      }
+      if (primes) sup = sup === null ? `<mo>${primes}</mo>` : `<mrow><mo>${primes}</mo>${sup}</mrow>`;
+      if (sub === null && sup === null) return base;
+
+      const [under, over, both] = atom.limits
+        ? ['munder', 'mover', 'munderover']
+        : ['msub', 'msup', 'msubsup'];
+      if (sub !== null && sup !== null) return `<${both}>${base}${sub}${sup}</${both}>`;
+      if (sub !== null) return `<${under}>${base}${sub}</${under}>`;
+      return `<${over}>${base}${sup}</${over}>`;
+    }
+
+    function parseEnvironment() {
+      const name = readRawGroup();
+      if (!ENVIRONMENTS[name]) throw new Error(`unknown environment "${name}"`);
+      if (name === 'array' && isChar(peek(), '{')) readRawGroup();
+
+      const rows = [];
+      let cells = [];
+      for (;;) {
+        cells.push(`<mtd>${parseList()}</mtd>`);
+        const token = next();
+        if (!token) throw new Error(`missing \\end{${name}}`);
+        if (isChar(token, '&')) continue;
+        rows.push(`<mtr>${cells.join('')}</mtr>`);
+        cells = [];
+        if (isCmd(token, '\\')) continue;
+        if (isCmd(token, 'end')) {
+          if (readRawGroup() !== name) throw new Error(`\\begin{${name}} ended by a different \\end`);
+          break;
+        }
+        throw new Error(`unexpected "${token.ch || token.cmd}"`);
+      }
+
+      const align = name === 'cases' || name.startsWith('align') ? ' columnalign="left"' : '';
+      const [open, close] = ENVIRONMENTS[name];
+      return fence(open, `<mtable${align}>${rows.join('')}</mtable>`, close);
+    }
+
+    function parseCommand(cmd) {
+      if (GREEK[cmd]) {
+        const upright = cmd[0] === cmd[0].toUpperCase() ? ' mathvariant="normal"' : '';
+        return { html: `<mi${upright}>${GREEK[cmd]}</mi>` };
+      }
+      if (OPERATORS[cmd]) return { html: `<mo>${escapeHtml(OPERATORS[cmd])}</mo>` };
+      if (IDENTIFIERS[cmd]) return { html: `<mi mathvariant="normal">${IDENTIFIERS[cmd]}</mi>` };
+      if (LIMIT_OPERATORS[cmd]) {
+        const symbol = LIMIT_OPERATORS[cmd];
+        const html = symbol.length > 1 && /[a-z]/.test(symbol) ? `<mi>${symbol}</mi>` : `<mo>${symbol}</mo>`;
+        return { html, limits: true };
+      }
+      if (INTEGRALS[cmd]) return { html: `<mo>${INTEGRALS[cmd]}</mo>` };
+      if (FUNCTIONS.has(cmd)) return { html: `<mi>${cmd}</mi>` };
+      if (SPACES[cmd]) return { html: `<mspace width="${SPACES[cmd]}"></mspace>` };
+      if (IGNORED.has(cmd)) return { html: '' };
+      if ('{}%$&#_'.includes(cmd) && cmd.length === 1) {
+        return { html: `<mo>${escapeHtml(cmd)}</mo>` };
+      }
+      if (cmd === '|') return { html: '<mo>‖</mo>' };
+
+      if (cmd === 'frac' || cmd === 'dfrac' || cmd === 'tfrac' || cmd === 'cfrac') {
+        const numerator = parseArgument();
+        return { html: `<mfrac>${numerator}${parseArgument()}</mfrac>` };
+      }
+      if (cmd === 'binom') {
+        const n = parseArgument();
+        return { html: fence('(', `<mfrac linethickness="0">${n}${parseArgument()}</mfrac>`, ')') };
+      }
+      if (cmd === 'sqrt') {
+        if (isChar(peek(), '[')) {
+          next();
+          const index = [];
+          while (peek() && !isChar(peek(), ']')) index.push(parseScripted());
+          expectChar(']');
+          const radicand = parseArgument();
+          return { html: `<mroot>${radicand}<mrow>${index.join('')}</mrow></mroot>` };
+        }
+        return { html: `<msqrt>${parseArgument()}</msqrt>` };
+      }
+      if (cmd === 'text' || cmd === 'textrm' || cmd === 'mbox' || cmd === 'textit') {
+        return { html: `<mtext>${escapeHtml(readRawGroup())}</mtext>` };
+      }
+      if (cmd === 'mathrm' || cmd === 'operatorname' || cmd === 'mathbf' || cmd === 'textbf' || cmd === 'mathit') {
+        const text = readRawGroup();
+        const variant = cmd === 'mathit' ? '' : ' mathvariant="normal"';
+        const bold = cmd === 'mathbf' || cmd === 'textbf' ? ' style="font-weight:bold"' : '';
+        return { html: `<mi${variant}${bold}>${escapeHtml(text)}</mi>` };
+      }
+      if (ACCENTS[cmd]) {
+        return { html: `<mover accent="true">${parseArgument()}<mo stretchy="true">${ACCENTS[cmd]}</mo></mover>` };
+      }
+      if (cmd === 'underline') {
+        return { html: `<munder accentunder="true">${parseArgument()}<mo stretchy="true">_</mo></munder>` };
+      }
+      if (cmd === 'left') {
+        const open = parseDelimiter();
+        const inner = parseList();
+        if (!isCmd(next(), 'right')) throw new Error('\\left without \\right');
+        return { html: fence(open, inner, parseDelimiter()) };
+      }
+      if (cmd === 'begin') return { html: parseEnvironment() };
+      throw new Error(`unknown command "\\${cmd}"`);
+    }
+
+    // One token's worth of output: { html, limits } or null at the end of the input.
+    function parseAtom() {
+      const token = next();
+      if (!token) return null;
+      if (token.cmd !== undefined) return parseCommand(token.cmd);
+      if (token.num !== undefined) return { html: `<mn>${token.num}</mn>` };
+      if (token.ch === '{') {
+        pos -= 1;
+        return { html: parseGroup() };
+      }
+      if (token.ch === '}') throw new Error('unexpected "}"');
+      if (token.ch === '^' || token.ch === '_') throw new Error(`"${token.ch}" without a base`);
+      if (/\p{L}/u.test(token.ch)) return { html: `<mi>${escapeHtml(token.ch)}</mi>` };
+      if (token.ch === '~') return { html: `<mspace width="0.25em"></mspace>` };
+      if (token.ch === '-') return { html: '<mo>−</mo>' };
+      return { html: `<mo>${escapeHtml(token.ch)}</mo>` };
+    }
+
+    return {
+      parse() {
+        const html = parseList();
+        if (pos < tokens.length) {
+          const token = tokens[pos];
+          throw new Error(`unexpected "${token.ch || '\\' + token.cmd}"`);
+        }
+        return html;
+      }
+    };
+  }
+
+  function renderMath(tex, display) {
+    const mode = display ? 'block' : 'inline';
+    try {
+      const body = createParser(tex).parse();
+      return (
+        `<math display="${mode}" class="math"><semantics><mrow>${body}</mrow>` +
+        `<annotation encoding="application/x-tex">${escapeHtml(tex)}</annotation></semantics></math>`
+      );
+    } catch (e) {
+      const delimiter = display ? '$$' : '$';
+      return `<code class="math-error" title="${escapeHtml(e.message)}">${escapeHtml(delimiter + tex + delimiter)}</code>`;
+    }
+  }
+
+  // Text and formula segments, in order: { text } or { tex, display }.
+  function splitMath(input) {
+    const text = String(input ?? '');
+    const segments = [];
+    let plain = '';
+    let i = 0;
+
+    const pushMath = (tex, display) => {
+      if (plain) segments.push({ text: plain });
+      plain = '';
+      segments.push({ tex, display });
+    };
+
+    while (i < text.length) {
+      const ch = text[i];
+      const pair = text.slice(i, i + 2);
+      if (pair === '\\$') {
+        plain += '$';
+        i += 2;
+        continue;
+      }
+      if (pair === '$$' || pair === '\\[' || pair === '\\(') {
+        const closer = { $$: '$$', '\\[': '\\]', '\\(': '\\)' }[pair];
+        const end = text.indexOf(closer, i + 2);
+        if (end > i + 2) {
+          pushMath(text.slice(i + 2, end), pair !== '\\(');
+          i = end + 2;
+          continue;
+        }
+      } else if (ch === '$' && text[i + 1] && !/\s/.test(text[i + 1])) {
+        // Like Pandoc: no space just inside the dollars, and no digit right after the closing
+        // one, so "costs $5 and $10" stays text.
+        let end = i + 1;
+        for (;;) {
+          end = text.indexOf('$', end);
+          if (end < 0 || (text[end - 1] !== '\\' && !/\s/.test(text[end - 1]) && !/[0-9]/.test(text[end + 1] || ''))) break;
+          end += 1;
+        }
+        if (end > i + 1) {
+          pushMath(text.slice(i + 1, end), false);
+          i = end + 1;
+          continue;
+        }
+      }
+      plain += ch;
+      i += 1;
+    }
+    if (plain) segments.push({ text: plain });
+    return segments;
+  }
+
+  function toHtml(html) {
+    return splitMath(html)
+      .map(seg => (seg.tex === undefined ? seg.text : renderMath(decodeEntities(seg.tex), seg.display)))
+      .join('');
+  }
+
+  function textToHtml(text) {
+    return splitMath(text)
+      .map(seg => (seg.tex === undefined ? escapeHtml(seg.text) : renderMath(seg.tex, seg.display)))
+      .join('');
+  }
+
+  function normalizeTex(text) {
+    return String(text).replace(/\$/g, '').replace(/\s+/g, '').toLowerCase();
+  }
+
+  // Sequential keyword highlighting. Keywords are matched in the text around formulas as before;
+  // inserting markup into a formula would break it, so a formula containing a keyword is
+  // highlighted as a whole with that keyword's delay.
+  function highlightKeywords(answer, keywords) {
+    const list = (keywords || []).filter(Boolean).map((kw, i) => ({ kw: String(kw), delay: i * 120 }));
+    return splitMath(answer)
+      .map(seg => {
+        if (seg.tex !== undefined) {
+          const math = renderMath(decodeEntities(seg.tex), seg.display);
+          const source = normalizeTex(decodeEntities(seg.tex));
+          const hit = list.find(({ kw }) => normalizeTex(kw) && source.includes(normalizeTex(kw)));
+          return hit ? `<span class="keyword" style="animation-delay: ${hit.delay}ms">${math}</span>` : math;
+        }
+        let html = seg.text;
+        list.forEach(({ kw, delay }) => {
+          // Answers arrive as cleaned HTML, so "x < 5" is written "x &lt; 5" there.
+          const markup = kw.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+          const escaped = markup.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+          const re = new RegExp('(' + escaped + ')', 'gi');
+          html = html.replace(re, `<span class="keyword" style="animation-delay: ${delay}ms">$1</span>`);
+        });
+        return html;
+      })
+      .join('');
+  }
+
+  window.MathText = { toHtml, textToHtml, highlightKeywords, splitMath, renderMath };
+})();
@@ -0,0 +1,279 @@
+/*
+  Curriculum map: chapters per grade and subject.
+
+  Used to show chapters even if the question bank is incomplete. This enables
+  "all chapters" selection and falls back to live generation when needed.
+*/
+
+'use strict';
+
+const CURRICULUM = {
+  9: {
+    Mathematics: [
+      'Number Systems',
+      'Polynomials',
+      'Coordinate Geometry',
+      'Linear Equations in Two Variables',
+      "Introduction to Euclid's Geometry",
+      'Lines and Angles',
+      'Triangles',
+      'Quadrilaterals',
+      'Areas of Parallelograms and Triangles',
+      'Circles',
+      'Constructions',
+      "Heron's Formula",
+      'Surface Areas and Volumes',
+      'Statistics',
+      'Probability'
+    ],
+    Science: [
+      'Matter in Our Surroundings',
+      'Is Matter Around Us Pure',
+      'Atoms and Molecules',
+      'Structure of the Atom',
+      'The Fundamental Unit of Life',
+      'Tissues',
+      'Diversity in Living Organisms',
+      'Motion',
+      'Force and Laws of Motion',
+      'Gravitation',
+      'Work and Energy',
+      'Sound',
+      'Why Do We Fall Ill',
+      'Natural Resources',
+      'Improvement in Food Resources'
+    ],
+    'Social Science': [
+      'The French Revolution',
+      'Socialism in Europe and the Russian Revolution',
+      'Nazism and the Rise of Hitler',
+      'Forest Society and Colonialism',
+      'Pastoralists in the Modern World',
+      'India - Size and Location',
+      'Physical Features of India',
+      'Drainage',
+      'Climate',
+      'Natural Vegetation and Wildlife',
+      'Population',
+      'What is Democracy? Why Democracy?',
+      'Constitutional Design',
+      'Electoral Politics',
+      'Working of Institutions',
+      'Democratic Rights',
+      'The Story of Village Palampur',
+      'People as Resource',
+      'Poverty as a Challenge',
+      'Food Security in India'
+    ]
+  },
+  10: {
+    Mathematics: [
+      'Real Numbers',
+      'Polynomials',
+      'Pair of Linear Equations',
+      'Quadratic Equations',
+      'Arithmetic Progressions',
+      'Triangles',
+      'Coordinate Geometry',
+      'Introduction to Trigonometry',
+      'Applications of Trigonometry',
+      'Circles',
+      'Constructions',
+      'Areas Related to Circles',
+      'Surface Areas and Volumes',
+      'Statistics',
+      'Probability'
+    ],
+    Science: [
+      'Chemical Reactions and Equations',
+      'Acids, Bases and Salts',
+      'Metals and Non-metals',
+      'Carbon and Its Compounds',
+      'Periodic Classification of Elements',
+      'Life Processes',
+      'Control and Coordination',
+      'How do Organisms Reproduce?',
+      'Heredity and Evolution',
+      'Light - Reflection and Refraction',
+      'The Human Eye and the Colourful World',
+      'Electricity',
+      'Magnetic Effects of Electric Current',
+      'Sources of Energy',
+      'Our Environment',
+      'Sustainable Management of Natural Resources'
+    ],
+    'Social Science': [
+      'The Rise of Nationalism in Europe',
+      'Nationalism in India',
+      'The Making of a Global World',
+      'The Age of Industrialisation',
+      'Print Culture and the Modern World',
+      'Resources and Development',
+      'Forest and Wildlife Resources',
+      'Water Resources',
+      'Agriculture',
+      'Minerals and Energy Resources',
+      'Manufacturing Industries',
+      'Lifelines of National Economy',
+      'Power Sharing',
+      'Federalism',
+      'Gender, Religion and Caste',
+      'Political Parties',
+      'Outcomes of Democracy',
+      'Challenges to Democracy',
+      'Development',
+      'Sectors of the Indian Economy',
+      'Money and Credit',
+      'Globalisation and the Indian Economy',
+      'Consumer Rights'
+    ]
+  },
+  11: {
+    Mathematics: [
+      'Sets',
+      'Relations and Functions',
+      'Trigonometric Functions',
+      'Principle of Mathematical Induction',
+      'Complex Numbers and Quadratic Equations',
+      'Linear Inequalities',
+      'Permutations and Combinations',
+      'Binomial Theorem',
+      'Sequence and Series',
+      'Straight Lines',
+      'Conic Sections',
+      'Introduction to Three Dimensional Geometry',
+      'Limits and Derivatives',
+      'Mathematical Reasoning',
+      'Statistics',
+      'Probability'
+    ],
+    Physics: [
+      'Physical World',
+      'Units and Measurements',
+      'Motion in a Straight Line',
+      'Motion in a Plane',
+      'Laws of Motion',
+      'Work, Energy and Power',
+      'System of Particles and Rotational Motion',
+      'Gravitation',
+      'Mechanical Properties of Solids',
+      'Mechanical Properties of Fluids',
+      'Thermal Properties of Matter',
+      'Thermodynamics',
+      'Kinetic Theory',
+      'Oscillations',
+      'Waves'
+    ],
+    Chemistry: [
+      'Some Basic Concepts of Chemistry',
+      'Structure of Atom',
+      'Classification of Elements and Periodicity in Properties',
+      'Chemical Bonding and Molecular Structure',
+      'States of Matter',
+      'Thermodynamics',
+      'Equilibrium',
+      'Redox Reactions',
+      'Hydrogen',
+      'The s-Block Elements',
+      'The p-Block Elements',
+      'Organic Chemistry: Some Basic Principles and Techniques',
+      'Hydrocarbons',
+      'Environmental Chemistry'
+    ],
+    Biology: [
+      'The Living World',
+      'Biological Classification',
+      'Plant Kingdom',
+      'Animal Kingdom',
+      'Morphology of Flowering Plants',
+      'Anatomy of Flowering Plants',
+      'Structural Organisation in Animals',
+      'Cell: The Unit of Life',
+      'Biomolecules',
+      'Cell Cycle and Cell Division',
+      'Transport in Plants',
+      'Mineral Nutrition',
+      'Photosynthesis in Higher Plants',
+      'Respiration in Plants',
+      'Plant Growth and Development',
+      'Digestion and Absorption',
+      'Breathing and Exchange of Gases',
+      'Body Fluids and Circulation',
+      'Excretory Products and their Elimination',
+      'Locomotion and Movement',
+      'Neural Control and Coordination',
+      'Chemical Coordination and Integration'
+    ]
+  },
+  12: {
+    Mathematics: [
+      'Relations and Functions',
+      'Inverse Trigonometric Functions',
+      'Matrices',
+      'Determinants',
+      'Continuity and Differentiability',
+      'Applications of Derivatives',
+      'Integrals',
+      'Applications of Integrals',
+      'Differential Equations',
+      'Vector Algebra',
+      'Three-Dimensional Geometry',
+      'Linear Programming',
+      'Probability'
+    ],
+    Physics: [
+      'Electric Charges and Fields',
+      'Electrostatic Potential and Capacitance',
+      'Current Electricity',
+      'Moving Charges and Magnetism',
+      'Magnetism and Matter',
+      'Electromagnetic Induction',
+      'Alternating Current',
+      'Electromagnetic Waves',
+      'Ray Optics and Optical Instruments',
+      'Wave Optics',
+      'Dual Nature of Radiation and Matter',
+      'Atoms',
+      'Nuclei',
+      'Semiconductor Electronics',
+      'Communication Systems'
+    ],
+    Chemistry: [
+      'Solutions',
+      'Electrochemistry',
+      'Chemical Kinetics',
+      'Surface Chemistry',
+      'General Principles and Processes of Isolation of Elements',
+      'The p-Block Elements',
+      'The d- and f-Block Elements',
+      'Coordination Compounds',
+      'Haloalkanes and Haloarenes',
+      'Alcohols, Phenols and Ethers',
+      'Aldehydes, Ketones and Carboxylic Acids',
+      'Amines',
+      'Biomolecules',
+      'Polymers',
+      'Chemistry in Everyday Life'
+    ],
+    Biology: [
+      'Reproduction in Organisms',
+      'Sexual Reproduction in Flowering Plants',
+      'Human Reproduction',
+      'Reproductive Health',
+      'Principles of Inheritance and Variation',
+      'Molecular Basis of Inheritance',
+      'Evolution',
+      'Human Health and Disease',
+      'Strategies for Enhancement in Food Production',
+      'Microbes in Human Welfare',
+      'Biotechnology: Principles and Processes',
+      'Biotechnology and its Applications',
+      'Organisms and Populations',
+      'Ecosystem',
+      'Biodiversity and Conservation',
+      'Environmental Issues'
+    ]
+  }
+};
+
+module.exports = { CURRICULUM };
@@ -0,0 +1,313 @@
+/*
+  Question repository.
+
+  Owns the question bank: the built-in questions plus every valid question from the JSON, CSV
+  and TSV packs in question-packs/. Each load builds an immutable snapshot with posting lists
+  by grade, subject, chapter, type, tag, source and difficulty, so queries only touch the
+  questions that can match.
+
+    reload()              re-read the packs and swap in a new snapshot
+    query(filters)        matching questions, in bank order
+    count(filters)        number of matching questions
+    sample(filters, n)    up to n matching questions in random order
+    facets(filters)       matching count plus per-tag / source / difficulty counts
+    chapters(g, s)        chapters for a grade and subject: curriculum first, then the bank
+    getCatalog()          grades / subjects / chapters, plus the tags, sources and
+                          difficulties in use, for the host setup screen
+
+  Filters: { grade, subject, chapter, type, tags, sources, difficulties, excludeIds }. Unset
+  filters match everything; `tags`, `sources` and `difficulties` match any of the listed
+  values (a question without a difficulty never matches a difficulty filter); `excludeIds`
+  is a Set or array.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { QUESTION_TYPES, DIFFICULTIES } = require('./types');
+const { BUILT_IN_QUESTIONS } = require('./bank');
+const { CURRICULUM } = require('./curriculum');
+const { listPackFiles, parsePackText, validatePackQuestion } = require('../packs/validate');
+const { sanitizeQuestion } = require('./sanitize');
+
+const INDEXED_FIELDS = ['grade', 'subject', 'chapter', 'type', 'tag', 'source', 'difficulty'];
+
+// Multi-value filters and the index each one reads.
+const FACETS = { tags: 'tag', sources: 'source', difficulties: 'difficulty' };
+
+function indexKey(field, value) {
+  return field === 'grade' ? Number(value) : String(value);
+}
+
+// The index keys a question is filed under for `field` (several for tags).
+function fieldKeys(q, field) {
+  if (field === 'tag') return (q.tags || []).map(tag => indexKey(field, tag));
+  if (field === 'source') return [indexKey(field, q.source || 'practice')];
+  if (field === 'difficulty') return q.difficulty ? [indexKey(field, q.difficulty)] : [];
+  return [indexKey(field, q[field])];
+}
+
+function buildIndexes(questions) {
+  const indexes = {};
+  INDEXED_FIELDS.forEach(field => {
+    indexes[field] = new Map();
+  });
+
+  questions.forEach((q, position) => {
+    INDEXED_FIELDS.forEach(field => {
+      new Set(fieldKeys(q, field)).forEach(key => {
+        const list = indexes[field].get(key);
+        if (list) list.push(position);
+        else indexes[field].set(key, [position]);
+      });
+    });
+  });
+
+  return indexes;
+}
+
+function buildCatalog(questions, curriculum) {
+  const gradeSet = new Set();
+  Object.keys(curriculum).forEach(g => gradeSet.add(Number(g)));
+  questions.forEach(q => gradeSet.add(q.grade));
+  const grades = Array.from(gradeSet).filter(Number.isFinite).sort((a, b) => a - b);
+
+  const subjectsByGrade = {};
+  const chaptersByGradeSubject = {};
+
+  // Seed from curriculum map
+  Object.entries(curriculum).forEach(([gradeKey, subjects]) => {
+    const gKey = String(gradeKey);
+    subjectsByGrade[gKey] ||= new Set();
+    chaptersByGradeSubject[gKey] ||= {};
+
+    Object.entries(subjects).forEach(([subject, chapters]) => {
+      subjectsByGrade[gKey].add(subject);
+      chaptersByGradeSubject[gKey][subject] ||= new Set();
+      (chapters || []).forEach(ch => chaptersByGradeSubject[gKey][subject].add(ch));
+    });
+  });
+
+  // Merge from available questions
+  questions.forEach(q => {
+    const gKey = String(q.grade);
+    subjectsByGrade[gKey] ||= new Set();
+    subjectsByGrade[gKey].add(q.subject);
+
+    chaptersByGradeSubject[gKey] ||= {};
+    chaptersByGradeSubject[gKey][q.subject] ||= new Set();
+    chaptersByGradeSubject[gKey][q.subject].add(q.chapter);
+  });
+
+  Object.keys(subjectsByGrade).forEach(g => {
+    subjectsByGrade[g] = Array.from(subjectsByGrade[g]).sort();
+  });
+  Object.keys(chaptersByGradeSubject).forEach(g => {
+    Object.keys(chaptersByGradeSubject[g]).forEach(s => {
+      chaptersByGradeSubject[g][s] = Array.from(chaptersByGradeSubject[g][s]).sort();
+    });
+  });
+
+  return { grades, subjectsByGrade, chaptersByGradeSubject };
+}
+
+function createSnapshot(questions, curriculum) {
+  const indexes = buildIndexes(questions);
+  const catalog = buildCatalog(questions, curriculum);
+  catalog.tags = Array.from(indexes.tag.keys()).sort();
+  catalog.sources = Array.from(indexes.source.keys()).sort();
+  catalog.difficulties = DIFFICULTIES.filter(d => indexes.difficulty.has(d));
+  return { questions, indexes, catalog };
+}
+
+// Union of the posting lists for any of `values`, in bank order.
+function unionPostings(index, field, values) {
+  const positions = new Set();
+  values.forEach(value => {
+    (index.get(indexKey(field, value)) || []).forEach(p => positions.add(p));
+  });
+  return Array.from(positions).sort((a, b) => a - b);
+}
+
+function asList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const list = (Array.isArray(value) ? value : [value]).filter(v => v !== undefined && v !== null && v !== '');
+  return list.length ? list : null;
+}
+
+// Candidate positions for `filters`: the shortest posting list, then a check of the remaining filters.
+function matchPositions(snapshot, filters = {}) {
+  const { questions, indexes } = snapshot;
+  const constraints = [];
+  if (filters.grade) constraints.push({ field: 'grade', values: [filters.grade] });
+  if (filters.subject) constraints.push({ field: 'subject', values: [filters.subject] });
+  if (filters.chapter) constraints.push({ field: 'chapter', values: [filters.chapter] });
+  if (filters.type) constraints.push({ field: 'type', values: [filters.type] });
+  Object.entries(FACETS).forEach(([name, field]) => {
+    const values = asList(filters[name]);
+    if (values) constraints.push({ field, values });
+  });
+
+  const excludeIds = filters.excludeIds instanceof Set ? filters.excludeIds : new Set(filters.excludeIds || []);
+
+  let positions;
+  if (!constraints.length) {
+    positions = questions.map((_, p) => p);
+  } else {
+    const postings = constraints.map(constraint => ({
+      ...constraint,
+      list: constraint.values.length === 1
+        ? indexes[constraint.field].get(indexKey(constraint.field, constraint.values[0])) || []
+        : unionPostings(indexes[constraint.field], constraint.field, constraint.values)
+    }));
+    postings.sort((a, b) => a.list.length - b.list.length);
+    const [smallest, ...rest] = postings;
+    const checks = rest.map(({ field, values }) => {
+      const keys = new Set(values.map(v => indexKey(field, v)));
+      return q => fieldKeys(q, field).some(key => keys.has(key));
+    });
+    positions = smallest.list.filter(p => checks.every(check => check(questions[p])));
+  }
+
+  return excludeIds.size ? positions.filter(p => !excludeIds.has(questions[p].id)) : positions;
+}
+
+function createQuestionRepository({ builtIn: builtInQuestions = BUILT_IN_QUESTIONS, curriculum = CURRICULUM, packsDir } = {}) {
+  // Pack questions are cleaned by validatePackQuestion; these may come straight from code.
+  const builtIn = builtInQuestions.map(sanitizeQuestion);
+  const builtInIds = new Set(builtIn.map(q => q.id));
+
+  // Parsed pack files keyed by file name ({ mtimeMs, size, questions }), so a reload only
+  // re-validates files that changed.
+  const packCache = new Map();
+
+  let snapshot = createSnapshot(builtIn, curriculum);
+
+  // Valid questions from one pack file; `skipped` counts entries that fail validation.
+  function readPackFile(fullPath) {
+    const raw = fs.readFileSync(fullPath, 'utf8');
+    const entries = parsePackText(path.basename(fullPath), raw).entries || [];
+    const questions = [];
+    entries.forEach(q => {
+      const { question } = validatePackQuestion(q, { questionTypes: QUESTION_TYPES });
+      if (question) questions.push(question);
+    });
+    return { questions, skipped: entries.length - questions.length };
+  }
+
+  function loadPacks() {
+    const loaded = [];
+    if (!packsDir) return loaded;
+
+    const entries = listPackFiles(packsDir);
+
+    Array.from(packCache.keys()).forEach(fileName => {
+      if (!entries.includes(fileName)) packCache.delete(fileName);
+    });
+
+    entries.forEach(fileName => {
+      const fullPath = path.join(packsDir, fileName);
+      const cached = packCache.get(fileName);
+      try {
+        const stat = fs.statSync(fullPath);
+        if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+          cached.questions.forEach(q => loaded.push(q));
+          return;
+        }
+        const { questions, skipped } = readPackFile(fullPath);
+        packCache.set(fileName, { mtimeMs: stat.mtimeMs, size: stat.size, questions });
+        questions.forEach(q => loaded.push(q));
+        console.log(
+          `[question-packs] loaded ${questions.length} questions from ${fileName}` +
+          (skipped ? ` (${skipped} invalid skipped; run \`npm run lint:packs\` for details)` : '')
+        );
+      } catch (e) {
+        // A file caught mid-save fails to parse; keep serving its last good version.
+        console.warn(`[question-packs] failed to load ${fileName}:`, e?.message || e, cached ? '(keeping previous version)' : '');
+        if (cached) cached.questions.forEach(q => loaded.push(q));
+      }
+    });
+
+    return loaded;
+  }
+
+  // Built-in questions plus pack questions whose ids are not already taken.
+  function mergeBank(extra) {
+    const bank = [...builtIn];
+    const existingIds = new Set(builtInIds);
+    extra.forEach(q => {
+      if (!existingIds.has(q.id)) {
+        bank.push(q);
+        existingIds.add(q.id);
+      }
+    });
+    return bank;
+  }
+
+  // Snapshots are replaced wholesale, never mutated, so rooms keep the question objects they
+  // already picked and a query never sees half a reload. Throws if the packs cannot be read.
+  function reload() {
+    const next = createSnapshot(mergeBank(loadPacks()), curriculum);
+    snapshot = next;
+    return next.questions.length;
+  }
+
+  function query(filters) {
+    const { questions } = snapshot;
+    return matchPositions(snapshot, filters).map(p => questions[p]);
+  }
+
+  function count(filters) {
+    return matchPositions(snapshot, filters).length;
+  }
+
+  // Partial Fisher-Yates over the matching positions: only the first n slots are shuffled.
+  function sample(filters, n) {
+    const { questions } = snapshot;
+    const positions = matchPositions(snapshot, filters);
+    const take = Math.min(Math.max(0, n || 0), positions.length);
+    for (let i = 0; i < take; i++) {
+      const j = i + Math.floor(Math.random() * (positions.length - i));
+      [positions[i], positions[j]] = [positions[j], positions[i]];
+    }
+    return positions.slice(0, take).map(p => questions[p]);
+  }
+
+  // Each facet is counted with the other filters applied but not its own, so a count is what
+  // that value alone would match alongside the rest of the selection.
+  function facets(filters = {}) {
+    const { questions } = snapshot;
+    const out = { count: count(filters) };
+    Object.entries(FACETS).forEach(([name, field]) => {
+      const counts = {};
+      matchPositions(snapshot, { ...filters, [name]: null }).forEach(p => {
+        new Set(fieldKeys(questions[p], field)).forEach(key => {
+          counts[key] = (counts[key] || 0) + 1;
+        });
+      });
+      out[name] = counts;
+    });
+    return out;
+  }
+
+  function chapters(grade, subject) {
+    const fromCurriculum = curriculum?.[grade]?.[subject];
+    if (Array.isArray(fromCurriculum) && fromCurriculum.length) return fromCurriculum;
+    return Array.from(new Set(query({ grade, subject }).map(q => q.chapter)));
+  }
+
+  return {
+    builtInIds,
+    reload,
+    query,
+    count,
+    sample,
+    facets,
+    chapters,
+    size: () => snapshot.questions.length,
+    getCatalog: () => snapshot.catalog
+  };
+}
+
+module.exports = { createQuestionRepository };
@@ -0,0 +1,107 @@
+/*
+  HTML allowlist for question and answer text.
+
+  Questions reach every player's browser as HTML, whether they come from the built-in bank,
+  a pack, a host upload, the AI or the fallback generators. Only simple formatting survives:
+
+    <b> <i> <u> <br> <sub> <sup> <small>
+
+  Every other tag is dropped (keeping its text, except for script-like elements whose content
+  is dropped too), attributes are always removed, unclosed tags are closed, and any stray
+  "<", ">" or "&" in the text is escaped. MCQ options and keywords are plain text and are
+  escaped by the pages, so they are left alone.
+*/
+
+'use strict';
+
+const ALLOWED_TAGS = ['b', 'i', 'u', 'br', 'sub', 'sup', 'small'];
+const VOID_TAGS = new Set(['br']);
+
+// Elements whose content is code or markup rather than text.
+const DROP_CONTENT_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'xmp', 'svg', 'math']);
+
+// A tag name ends in a space, "/" or ">", so "x<y" in a formula stays text. A tag ends at the
+// first ">" or "<", even inside a quoted attribute: attributes are dropped anyway, whatever
+// follows is escaped as text, and it keeps the scan linear.
+const TOKEN_RE = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)(?=[\s/>])[^<>]*>|[^<]+|</g;
+const ENTITY_RE = /&(?:[a-zA-Z][a-zA-Z0-9]{1,31}|#[0-9]{1,7}|#[xX][0-9a-fA-F]{1,6});/y;
+
+function escapeText(text) {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '<') out += '&lt;';
+    else if (ch === '>') out += '&gt;';
+    else if (ch === '&') {
+      ENTITY_RE.lastIndex = i;
+      out += ENTITY_RE.test(text) ? '&' : '&amp;';
+    } else out += ch;
+  }
+  return out;
+}
+
+// Returns { html, removed }: the cleaned HTML and the names of the tags that were dropped.
+function cleanHtml(input) {
+  const text = typeof input === 'string' ? input : String(input ?? '');
+  const removed = new Set();
+  const open = [];
+  let dropUntil = null;
+  let html = '';
+
+  let match;
+  TOKEN_RE.lastIndex = 0;
+  while ((match = TOKEN_RE.exec(text))) {
+    const [token, closing, rawName] = match;
+    if (token.startsWith('<!--')) continue;
+
+    if (!rawName) {
+      if (!dropUntil) html += escapeText(token);
+      continue;
+    }
+
+    const name = rawName.toLowerCase();
+    if (dropUntil) {
+      if (closing && name === dropUntil) dropUntil = null;
+      continue;
+    }
+    if (!ALLOWED_TAGS.includes(name)) {
+      removed.add(name);
+      if (!closing && DROP_CONTENT_TAGS.has(name) && !token.endsWith('/>')) dropUntil = name;
+      continue;
+    }
+
+    if (VOID_TAGS.has(name)) {
+      if (!closing) html += `<${name}>`;
+    } else if (!closing) {
+      open.push(name);
+      html += `<${name}>`;
+    } else if (open.includes(name)) {
+      // Close anything opened inside it first, so the result is always well nested.
+      while (open.length) {
+        const top = open.pop();
+        html += `</${top}>`;
+        if (top === name) break;
+      }
+    }
+  }
+
+  while (open.length) html += `</${open.pop()}>`;
+  return { html, removed: Array.from(removed) };
+}
+
+function sanitizeHtml(input) {
+  return cleanHtml(input).html;
+}
+
+// A copy of the question with its HTML fields cleaned. Pack templates (with "variables") are left
+// alone: cleaning would mangle their {{ }} expressions, and each variant is cleaned when drawn.
+function sanitizeQuestion(q) {
+  if (!q || typeof q !== 'object' || q.variables) return q;
+  return {
+    ...q,
+    question: typeof q.question === 'string' ? sanitizeHtml(q.question) : q.question,
+    answer: typeof q.answer === 'string' ? sanitizeHtml(q.answer) : q.answer
+  };
+}
+
+module.exports = { ALLOWED_TAGS, cleanHtml, sanitizeHtml, sanitizeQuestion };
@@ -0,0 +1,17 @@
+/*
+  Question types and difficulty levels shared by the bank, the pack loader and the server.
+*/
+
+'use strict';
+
+const QUESTION_TYPES = {
+  LONG: 'long',      // Long answer (write on paper)
+  SHORT: 'short',    // Short answer
+  MCQ: 'mcq',        // Multiple choice (1-4 keys)
+  NUMERICAL: 'numerical' // Numerical answer
+};
+
+// Optional `difficulty` on a question, easiest first.
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+module.exports = { QUESTION_TYPES, DIFFICULTIES };
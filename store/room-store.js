@@ -0,0 +1,134 @@
+/*
+  Room storage.
+
+  The server keeps live rooms in memory; a room store mirrors them somewhere
+  durable so running sessions survive a restart or redeploy.
+
+  Every store exposes the same interface:
+    loadAll()      -> array of previously saved room records
+    save(room)     -> schedule the room for persistence
+    remove(roomId) -> drop the room from storage
+    flush()        -> write pending changes synchronously (call on shutdown)
+
+  Env vars:
+    ROOM_STORE       - optional: "file" (default) or "memory"
+    ROOM_STORE_FILE  - optional path for the file store (default: .data/rooms.json)
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const FILE_FORMAT_VERSION = 1;
+
+function createMemoryRoomStore() {
+  return {
+    kind: 'memory',
+    loadAll() {
+      return [];
+    },
+    save() {},
+    remove() {},
+    flush() {}
+  };
+}
+
+/**
+ * Persist all rooms to one JSON file. Writes are debounced and atomic (temp file + rename).
+ * `serialize(room)` turns a live room into a plain JSON-safe record; it runs at write time.
+ */
+function createFileRoomStore({ filePath, serialize = room => room, debounceMs = 500 }) {
+  const records = new Map();
+  const dirty = new Map();
+  let timer = null;
+
+  function readFile() {
+    if (!fs.existsSync(filePath)) return [];
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (parsed?.version !== FILE_FORMAT_VERSION || !Array.isArray(parsed.rooms)) return [];
+      return parsed.rooms.filter(r => r && typeof r === 'object' && typeof r.id === 'string');
+    } catch (e) {
+      console.warn(`[room-store] failed to read ${filePath}:`, e?.message || e);
+      return [];
+    }
+  }
+
+  function writeFile() {
+    dirty.forEach((room, roomId) => {
+      try {
+        records.set(roomId, serialize(room));
+      } catch (e) {
+        console.warn(`[room-store] failed to serialize room ${roomId}:`, e?.message || e);
+      }
+    });
+    dirty.clear();
+
+    const payload = JSON.stringify({
+      version: FILE_FORMAT_VERSION,
+      savedAt: new Date().toISOString(),
+      rooms: Array.from(records.values())
+    });
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, payload);
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function flush() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    try {
+      writeFile();
+    } catch (e) {
+      console.warn(`[room-store] failed to write ${filePath}:`, e?.message || e);
+    }
+  }
+
+  function schedule() {
+    if (timer) return;
+    timer = setTimeout(flush, debounceMs);
+    if (typeof timer.unref === 'function') timer.unref();
+  }
+
+  return {
+    kind: 'file',
+    loadAll() {
+      const loaded = readFile();
+      records.clear();
+      loaded.forEach(r => records.set(r.id, r));
+      return loaded;
+    },
+    save(room) {
+      if (!room?.id) return;
+      dirty.set(room.id, room);
+      schedule();
+    },
+    remove(roomId) {
+      dirty.delete(roomId);
+      if (!records.delete(roomId)) return;
+      schedule();
+    },
+    flush
+  };
+}
+
+function createRoomStore({ kind, filePath, serialize } = {}) {
+  const selected = String(kind || process.env.ROOM_STORE || 'file').toLowerCase();
+  if (selected === 'memory') return createMemoryRoomStore();
+  if (selected !== 'file') {
+    console.warn(`[room-store] unknown ROOM_STORE "${selected}", using file store`);
+  }
+  return createFileRoomStore({
+    filePath: filePath || process.env.ROOM_STORE_FILE || path.join(__dirname, '..', '.data', 'rooms.json'),
+    serialize
+  });
+}
+
+module.exports = {
+  createRoomStore,
+  createMemoryRoomStore,
+  createFileRoomStore
+};